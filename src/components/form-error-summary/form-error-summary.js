@@ -0,0 +1,144 @@
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
+import summaryTemplate from "./form-error-summary.html";
+import summaryStyles from "./form-error-summary.css";
+
+/**
+ * Accessible summary of the errors from a failed form submission
+ * @element form-error-summary
+ * @attr {string} heading - Heading text shown above the list of errors
+ * @slot heading - Custom heading content
+ */
+export class FormErrorSummary extends HTMLElement {
+  constructor() {
+    super();
+
+    // Create shadow DOM
+    this.attachShadow({ mode: "open" });
+
+    // Apply styles
+    applyStyles(this.shadowRoot, summaryStyles, document.adoptedStyleSheets);
+    loadTemplate(summaryTemplate, this.shadowRoot);
+
+    // Initialize properties
+    this._errors = [];
+
+    // Get required elements
+    this.headingElement = this.shadowRoot.querySelector(".heading");
+    this.listElement = this.shadowRoot.querySelector(".errors");
+  }
+
+  /**
+   * Web component lifecycle: When attributes change
+   */
+  static get observedAttributes() {
+    return ["heading"];
+  }
+
+  /**
+   * Web component lifecycle: Component added to DOM
+   */
+  connectedCallback() {
+    syncStyles(this.shadowRoot);
+
+    // Announce the summary as soon as it is filled in
+    this.setAttribute("role", "alert");
+
+    // Allow focus to be moved here without adding a tab stop
+    if (!this.hasAttribute("tabindex")) {
+      this.setAttribute("tabindex", "-1");
+    }
+
+    this.headingElement.textContent = this.heading;
+    this._render();
+  }
+
+  /**
+   * Web component lifecycle: Attribute changed
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === "heading" && this.headingElement) {
+      this.headingElement.textContent = this.heading;
+    }
+  }
+
+  /**
+   * Heading getter
+   */
+  get heading() {
+    return (
+      this.getAttribute("heading") || "Please correct the following errors"
+    );
+  }
+
+  /**
+   * Heading setter
+   */
+  set heading(value) {
+    this.setAttribute("heading", value);
+  }
+
+  /**
+   * Errors getter
+   * @returns {Array<{message: string, field: HTMLElement|null}>}
+   */
+  get errors() {
+    return this._errors;
+  }
+
+  /**
+   * Errors setter
+   * @param {Array<{message: string, field: HTMLElement|null}>} value
+   */
+  set errors(value) {
+    this._errors = Array.isArray(value) ? value : [];
+    this._render();
+  }
+
+  /**
+   * Remove all errors and hide the summary
+   */
+  clear() {
+    this.errors = [];
+  }
+
+  /**
+   * Render the list of errors
+   * @private
+   */
+  _render() {
+    this.listElement.replaceChildren(
+      ...this._errors.map((error) => this._renderError(error)),
+    );
+    this.hidden = this._errors.length === 0;
+  }
+
+  /**
+   * Render a single entry, linking it to its field when there is one
+   * @private
+   */
+  _renderError({ message, field }) {
+    const item = document.createElement("li");
+
+    if (!field || !field.id) {
+      item.textContent = message;
+      return item;
+    }
+
+    const link = document.createElement("a");
+    link.href = `#${field.id}`;
+    link.textContent = message;
+    link.addEventListener("click", (e) => {
+      // The field lives outside this shadow root so move focus directly
+      e.preventDefault();
+      field.scrollIntoView({ block: "center" });
+      field.focus();
+    });
+
+    item.appendChild(link);
+    return item;
+  }
+}
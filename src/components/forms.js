@@ -1,74 +1,355 @@
 import { showToast } from "./toast/toast";
+import {
+  IncrementalResult,
+  isMultipartMixed,
+  MultipartMixedParser,
+  multipartBoundary,
+} from "../incremental.js";
+
+// Accept incremental (@defer / @stream) responses as well as plain JSON
+export const GRAPHQL_ACCEPT =
+  "multipart/mixed;deferSpec=20220824, application/graphql-response+json, application/json";
+
+// Incremental response state for in-flight HTMX requests
+const incrementalRequests = new WeakMap();
+
+// Responses whose errors sent the page to an `errorCodes` redirect
+const redirectedResponses = new WeakSet();
+
+// Elements that can carry a field error
+const FIELD_SELECTOR = "input, select, textarea";
+
+// Containers that group related fields
+const GROUP_SELECTOR = 'fieldset, [role="group"]';
+
+const capitalize = (value) =>
+  String(value).charAt(0).toUpperCase() + String(value).slice(1);
+
+/**
+ * Field naming conventions, each turns path segments into a `name` attribute
+ * e.g. `["items", 2, "quantity"]` becomes:
+ *   bracket   - items[2][quantity]
+ *   dot       - items.2.quantity
+ *   js        - items[2].quantity
+ *   camelCase - items2Quantity
+ */
+const namingConventions = {
+  bracket: (segments) =>
+    segments.map((segment, i) => (i === 0 ? segment : `[${segment}]`)).join(""),
+  dot: (segments) => segments.join("."),
+  js: (segments) =>
+    segments
+      .map((segment, i) => {
+        if (typeof segment === "number") return `[${segment}]`;
+        return i === 0 ? segment : `.${segment}`;
+      })
+      .join(""),
+  camelCase: (segments) =>
+    segments
+      .map((segment, i) => (i === 0 ? String(segment) : capitalize(segment)))
+      .join(""),
+};
+
+/**
+ * Swaps HTML into a target the way htmx's `hx-swap` does
+ * @param {Element} target - The element to swap content into
+ * @param {string} html - The HTML to insert
+ * @param {string} [swapStyle="innerHTML"] - innerHTML, outerHTML, beforebegin, afterbegin, beforeend, afterend or none
+ */
+export function swapHtml(target, html, swapStyle = "innerHTML") {
+  if (!target || swapStyle === "none") {
+    return;
+  }
+
+  if (swapStyle === "innerHTML") {
+    target.innerHTML = html;
+  } else if (swapStyle === "outerHTML") {
+    target.outerHTML = html;
+  } else {
+    target.insertAdjacentHTML(swapStyle, html);
+  }
+}
 
 // Form error handling with PicoCSS
 export class FormErrorHandler {
+  /**
+   * Registry of naming conventions, add your own by name
+   * @type {Object<string, function(Array<string|number>): string>}
+   */
+  static namingConventions = namingConventions;
+
+  /**
+   * Naming conventions tried in order when matching a field path
+   * Entries are convention names or functions taking the path segments
+   * @type {Array<string|function>}
+   */
+  static fieldNaming = ["bracket", "js", "dot", "camelCase"];
+
+  /**
+   * Inject a `<form-error-summary>` into forms that do not have one
+   * Set `data-error-summary="false"` on a form to opt out
+   * @type {boolean}
+   */
+  static errorSummary = true;
+
   /**
    * Handles API error responses by adding error attributes to form elements
    * @param {Object} response - The error response object from the API
+   * @param {ParentNode} [root=document] - The form or container to resolve fields in
    */
-  static handleErrors(response) {
+  static handleErrors(response, root = document) {
     // Check if there are errors to process
     if (!response.errors) {
       return;
     }
 
     // Reset any existing errors first
-    FormErrorHandler.clearErrors();
+    FormErrorHandler.clearErrors(root);
+
+    // Every error is listed in the summary, linked to its field if found
+    const summaryEntries = [];
 
     // Process each error
     response.errors.forEach((error) => {
-      if (!error.extensions || !error.extensions.field) {
+      const message = error.message || "An error occurred";
+      const fieldPath = FormErrorHandler.fieldPathFor(error);
+      if (!fieldPath) {
+        summaryEntries.push({ message, field: null });
         return;
       }
 
       // Find the input element
-      const fieldName = error.extensions.field;
-      const inputElement = document.querySelector(`[name="${fieldName}"]`);
+      const fieldName = FormErrorHandler.formatFieldPath(fieldPath);
+      const inputElement = FormErrorHandler.findField(fieldPath, root);
 
       if (!inputElement) {
+        // Fall back to the fieldset or group holding the rest of the path
+        const groupElement = FormErrorHandler.findGroup(fieldPath, root);
+        if (groupElement) {
+          FormErrorHandler.addGroupError(groupElement, message);
+          summaryEntries.push({
+            message,
+            field: groupElement.querySelector(FIELD_SELECTOR),
+          });
+          return;
+        }
+
         console.warn(
           `Input element with name "${fieldName}" not found. Adding error to form.`,
         );
+        summaryEntries.push({ message, field: null });
         return;
       }
 
+      summaryEntries.push({ message, field: inputElement });
+
       // Use parent element (which would be the form field container in PicoCSS)
       const parentElement = inputElement.parentElement;
       if (!parentElement) {
         console.warn(
           `Parent element for input "${fieldName}" not found. Adding error directly.`,
         );
-        FormErrorHandler.addError(inputElement, error.message);
+        FormErrorHandler.addError(inputElement, message, root);
         return;
       }
 
       // Add error to the parent element
-      FormErrorHandler.addError(parentElement, error.message);
+      FormErrorHandler.addError(parentElement, message, root);
+    });
+
+    FormErrorHandler.showSummary(summaryEntries, root);
+  }
+
+  /**
+   * Lists errors in the form's `<form-error-summary>` and moves focus to it
+   * A summary is injected at the top of the form when there is none. When
+   * summaries are turned off, errors without a field are added to the form
+   * as plain error messages instead.
+   * @param {Array<{message: string, field: HTMLElement|null}>} entries - The errors to list
+   * @param {ParentNode} [root=document] - The form or container the errors belong to
+   * @returns {HTMLElement|null} The summary element, if one was used
+   */
+  static showSummary(entries, root = document) {
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const summary = FormErrorHandler._summaryFor(root);
+    if (!summary) {
+      // No summary, errors without a field go on the form itself
+      entries
+        .filter((entry) => !entry.field)
+        .forEach((entry) => {
+          if (root === document) {
+            console.warn(`Form error without a form: ${entry.message}`);
+          } else {
+            FormErrorHandler.addGroupError(root, entry.message);
+          }
+        });
+      return null;
+    }
+
+    // Make sure every field can be linked to
+    entries.forEach((entry) => {
+      if (entry.field && !entry.field.id) {
+        entry.field.id = FormErrorHandler._uniqueId(
+          `${FormErrorHandler._safeName(entry.field.name)}-field`,
+        );
+      }
     });
+
+    summary.errors = entries;
+    summary.focus();
+    return summary;
+  }
+
+  /**
+   * Get the input path an error refers to
+   * Uses `extensions.field` when present, otherwise the error `path`
+   * @param {Object} error - A GraphQL error object
+   * @returns {string|Array<string|number>|null} The field path or null
+   */
+  static fieldPathFor(error) {
+    const field = error.extensions && error.extensions.field;
+    if (field !== undefined && field !== null && field !== "") {
+      return field;
+    }
+    if (Array.isArray(error.path) && error.path.length > 0) {
+      return error.path;
+    }
+    return null;
+  }
+
+  /**
+   * Split a field path into its segments
+   * Accepts dotted paths (`input.address.street`), list indices
+   * (`items[2].quantity`) and arrays (`["items", 2, "quantity"]`)
+   * @param {string|Array<string|number>} path - The field path
+   * @returns {Array<string|number>} Segments with list indices as numbers
+   */
+  static parseFieldPath(path) {
+    const segments = Array.isArray(path)
+      ? path.map(String)
+      : String(path)
+          .replace(/\[([^\]]*)\]/g, ".$1")
+          .split(".");
+
+    return segments
+      .filter((segment) => segment !== "")
+      .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment));
+  }
+
+  /**
+   * Format a field path for messages, e.g. `items[2].quantity`
+   * @param {string|Array<string|number>} path - The field path
+   * @returns {string} The formatted path
+   */
+  static formatFieldPath(path) {
+    return namingConventions.js(FormErrorHandler.parseFieldPath(path));
+  }
+
+  /**
+   * Find the form field matching a field path
+   * @param {string|Array<string|number>} path - The field path
+   * @param {ParentNode} [root=document] - The form or container to search
+   * @returns {HTMLElement|null} The matching field or null
+   */
+  static findField(path, root = document) {
+    const segments = FormErrorHandler.parseFieldPath(path);
+
+    for (const name of FormErrorHandler._candidateNames(segments, root)) {
+      const field = root.querySelector(`[name="${CSS.escape(name)}"]`);
+      if (field) {
+        return field;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the nearest fieldset or group for a field path that has no field
+   * @param {string|Array<string|number>} path - The field path
+   * @param {ParentNode} [root=document] - The form or container to search
+   * @returns {HTMLElement|null} The closest matching group or null
+   */
+  static findGroup(path, root = document) {
+    const segments = FormErrorHandler.parseFieldPath(path);
+    const fields = Array.from(root.querySelectorAll("[name]"));
+
+    // Walk up the path, trying the deepest parent object first
+    for (let end = segments.length - 1; end > 0; end--) {
+      const prefix = segments.slice(0, end);
+
+      for (const name of FormErrorHandler._candidateNames(prefix, root)) {
+        const escaped = CSS.escape(name);
+        const group = root.querySelector(
+          `fieldset[name="${escaped}"], [data-field="${escaped}"]`,
+        );
+        if (group) {
+          return group;
+        }
+
+        // A sibling field under the same parent leads to its group
+        const sibling = fields.find((field) =>
+          FormErrorHandler._isChildName(field.getAttribute("name"), name),
+        );
+        const siblingGroup = sibling && sibling.closest(GROUP_SELECTOR);
+        if (
+          siblingGroup &&
+          (root === document || root.contains(siblingGroup))
+        ) {
+          return siblingGroup;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Adds an error message to a fieldset, group or form as a whole
+   * @param {HTMLElement} element - The container to add the error to
+   * @param {string} message - The error message
+   */
+  static addGroupError(element, message) {
+    const errorMsg = document.createElement("p");
+    errorMsg.className = "error-message";
+    errorMsg.setAttribute("role", "alert");
+    errorMsg.textContent = message;
+
+    // A legend must stay the first child of a fieldset
+    const legend = element.querySelector(":scope > legend");
+    if (legend) {
+      legend.after(errorMsg);
+    } else {
+      element.prepend(errorMsg);
+    }
   }
 
   /**
    * Adds an error message to an element using PicoCSS ARIA attributes
    * @param {HTMLElement} element - The element to add the error to
    * @param {string} message - The error message
+   * @param {ParentNode} [root=document] - The form or container the element belongs to
    */
-  static addError(element, message) {
+  static addError(element, message, root = document) {
     // Find the input element within the container (if element is not the input itself)
-    const inputElement =
-      element.tagName === "INPUT"
-        ? element
-        : element.querySelector("input, select, textarea");
+    const inputElement = element.matches(FIELD_SELECTOR)
+      ? element
+      : element.querySelector(FIELD_SELECTOR);
 
     if (inputElement) {
       // Set ARIA attributes for PicoCSS
       inputElement.setAttribute("aria-invalid", "true");
 
-      // Generate a unique ID for the helper element if needed
-      const helperId = `${inputElement.name}-helper`;
+      // Reuse the helper already linked to this input, or generate an ID
+      // that does not collide with same-named fields in other forms
+      const helperId = FormErrorHandler._helperId(inputElement, root);
       inputElement.setAttribute("aria-describedby", helperId);
 
       // Look for existing small/helper element
-      let helperElement = document.getElementById(helperId);
+      let helperElement = FormErrorHandler._findById(root, helperId);
 
       // If no helper element exists, create one
       if (!helperElement) {
@@ -95,22 +376,17 @@ export class FormErrorHandler {
       helperElement.textContent = message;
     } else {
       // For form level errors, create a message at the top
-      const errorMsg = document.createElement("p");
-      errorMsg.className = "error-message";
-      errorMsg.setAttribute("role", "alert");
-      errorMsg.textContent = message;
-
-      // Add to the beginning of the form
-      element.prepend(errorMsg);
+      FormErrorHandler.addGroupError(element, message);
     }
   }
 
   /**
-   * Clear all existing error messages and restore original helper text
+   * Clear existing error messages and restore original helper text
+   * @param {ParentNode} [root=document] - The form or container to clear errors from
    */
-  static clearErrors() {
+  static clearErrors(root = document) {
     // Reset all invalid inputs
-    document.querySelectorAll('[aria-invalid="true"]').forEach((input) => {
+    root.querySelectorAll('[aria-invalid="true"]').forEach((input) => {
       // Remove the attribute completely rather than setting to false
       // This returns the input to its initial state rather than marking as explicitly valid
       input.removeAttribute("aria-invalid");
@@ -118,7 +394,7 @@ export class FormErrorHandler {
       // Get the helper element
       const helperId = input.getAttribute("aria-describedby");
       if (helperId) {
-        const helperElement = document.getElementById(helperId);
+        const helperElement = FormErrorHandler._findById(root, helperId);
         if (helperElement && helperElement.dataset.originalText) {
           // Restore original helper text
           helperElement.textContent = helperElement.dataset.originalText;
@@ -128,33 +404,587 @@ export class FormErrorHandler {
     });
 
     // Remove any form-level error messages
-    document.querySelectorAll(".error-message").forEach((errMsg) => {
+    root.querySelectorAll(".error-message").forEach((errMsg) => {
       errMsg.remove();
     });
+
+    // Empty any error summaries
+    root.querySelectorAll("form-error-summary").forEach((summary) => {
+      if (typeof summary.clear === "function") {
+        summary.clear();
+      }
+    });
+  }
+
+  /**
+   * Resolve the element errors should be scoped to for a triggering element
+   * @param {Element} [element] - The element that made the request
+   * @returns {ParentNode} The closest form, or the document if there is none
+   */
+  static rootFor(element) {
+    return (element && element.closest && element.closest("form")) || document;
+  }
+
+  /**
+   * Get the helper ID for an input, reusing an existing aria-describedby link
+   * @private
+   */
+  static _helperId(inputElement, root) {
+    const describedBy = inputElement.getAttribute("aria-describedby");
+    if (describedBy && FormErrorHandler._findById(root, describedBy)) {
+      return describedBy;
+    }
+
+    return FormErrorHandler._uniqueId(
+      `${FormErrorHandler._safeName(inputElement.name)}-helper`,
+      root,
+    );
+  }
+
+  /**
+   * Pick an ID that is free in the document, IDs inside the root may be reused
+   * @private
+   */
+  static _uniqueId(baseId, root = null) {
+    let id = baseId;
+    let suffix = 2;
+
+    // The ID is taken elsewhere, e.g. by another form's helper
+    while (
+      document.getElementById(id) &&
+      !(root && FormErrorHandler._findById(root, id))
+    ) {
+      id = `${baseId}-${suffix++}`;
+    }
+
+    return id;
+  }
+
+  /**
+   * Turn a field name into something safe to use in an ID
+   * @private
+   */
+  static _safeName(name) {
+    return (name || "field").replace(/[^\w-]+/g, "-").replace(/-+$/, "");
+  }
+
+  /**
+   * Find or inject the error summary for a root
+   * @private
+   */
+  static _summaryFor(root) {
+    // Errors outside any form have no summary of their own
+    if (root === document) {
+      return null;
+    }
+
+    const existing = root.querySelector("form-error-summary");
+    if (existing) {
+      return existing;
+    }
+
+    const enabled =
+      FormErrorHandler.errorSummary &&
+      !(
+        root.getAttribute && root.getAttribute("data-error-summary") === "false"
+      );
+    if (!enabled || !customElements.get("form-error-summary")) {
+      return null;
+    }
+
+    const summary = document.createElement("form-error-summary");
+    root.prepend(summary);
+    return summary;
+  }
+
+  /**
+   * Get the naming conventions in effect for a root
+   * A `data-field-naming` attribute on the form overrides `fieldNaming`
+   * @private
+   */
+  static _conventionsFor(root) {
+    const override =
+      root.getAttribute && root.getAttribute("data-field-naming");
+    const names = override
+      ? override.split(/[\s,]+/).filter(Boolean)
+      : FormErrorHandler.fieldNaming;
+
+    return names
+      .map((name) =>
+        typeof name === "function"
+          ? name
+          : FormErrorHandler.namingConventions[name],
+      )
+      .filter(Boolean);
+  }
+
+  /**
+   * List the field names a path may be rendered as, most specific first
+   * The leading argument segment such as `input` may be dropped, but no more,
+   * so `input.shipping.name` cannot match a top-level `name` field and
+   * `items[2].quantity` cannot match another item
+   * @private
+   */
+  static _candidateNames(segments, root) {
+    const conventions = FormErrorHandler._conventionsFor(root);
+    const lastStart =
+      segments.length > 1 && typeof segments[1] !== "number" ? 1 : 0;
+    const names = [];
+
+    for (let start = 0; start <= lastStart; start++) {
+      const tail = segments.slice(start);
+      conventions.forEach((convention) => {
+        const name = convention(tail);
+        if (name && !names.includes(name)) {
+          names.push(name);
+        }
+      });
+    }
+
+    return names;
+  }
+
+  /**
+   * Check whether a field name is nested under a parent name
+   * @private
+   */
+  static _isChildName(fieldName, parentName) {
+    if (!fieldName || !fieldName.startsWith(parentName)) {
+      return false;
+    }
+    const next = fieldName.charAt(parentName.length);
+    return next === "[" || next === "." || /[A-Z0-9]/.test(next);
+  }
+
+  /**
+   * Find an element by ID within the root only
+   * @private
+   */
+  static _findById(root, id) {
+    if (root === document) {
+      return document.getElementById(id);
+    }
+    return root.querySelector(`#${CSS.escape(id)}`);
+  }
+}
+
+// Buttons that submit a form
+const SUBMIT_SELECTOR =
+  'button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]';
+
+// In-flight request state for busy forms
+const busyForms = new WeakMap();
+
+// Shows that a form's request is in flight
+export class RequestIndicator {
+  /**
+   * What forms show while a request is in flight, any of `busy` (aria-busy),
+   * `disable` (submit controls) and `spinner` (a loader icon in the button)
+   * Override per form with `data-request-ui`, e.g. `"busy disable"` or `"none"`
+   * @type {string}
+   */
+  static defaults = "busy disable spinner";
+
+  /**
+   * Check whether a form has a request in flight
+   * @param {HTMLFormElement} form - The form to check
+   * @returns {boolean}
+   */
+  static isBusy(form) {
+    return busyForms.has(form);
+  }
+
+  /**
+   * Mark a form as busy until `end` is called
+   * @param {HTMLFormElement} form - The form making the request
+   * @param {HTMLElement} [submitter] - The control that submitted it
+   */
+  static start(form, submitter = null) {
+    if (!form || form === document || busyForms.has(form)) {
+      return;
+    }
+
+    const options = (
+      form.getAttribute("data-request-ui") || RequestIndicator.defaults
+    ).split(/\s+/);
+    const state = { busy: false, disabled: [], spinner: null };
+    busyForms.set(form, state);
+
+    if (options.includes("busy")) {
+      state.busy = true;
+      form.setAttribute("aria-busy", "true");
+    }
+
+    const controls = RequestIndicator._submitControls(form);
+    if (options.includes("disable")) {
+      // Leave controls that were disabled already alone
+      state.disabled = controls.filter((control) => !control.disabled);
+      state.disabled.forEach((control) => {
+        control.disabled = true;
+      });
+    }
+
+    const button =
+      submitter && submitter.tagName === "BUTTON"
+        ? submitter
+        : controls.find((control) => control.tagName === "BUTTON");
+    if (options.includes("spinner") && button) {
+      state.spinner = RequestIndicator._addSpinner(button);
+    }
+  }
+
+  /**
+   * Restore a form after its request finished, failed or timed out
+   * @param {HTMLFormElement} form - The form that made the request
+   */
+  static end(form) {
+    const state = busyForms.get(form);
+    if (!state) {
+      return;
+    }
+    busyForms.delete(form);
+
+    if (state.busy) {
+      form.removeAttribute("aria-busy");
+    }
+    state.disabled.forEach((control) => {
+      control.disabled = false;
+    });
+    if (state.spinner) {
+      state.spinner.remove();
+    }
+  }
+
+  /**
+   * Find the controls that submit a form, including ones outside it
+   * @private
+   */
+  static _submitControls(form) {
+    const controls = Array.from(form.querySelectorAll(SUBMIT_SELECTOR));
+    if (form.id) {
+      document
+        .querySelectorAll(`[form="${CSS.escape(form.id)}"]`)
+        .forEach((control) => {
+          if (control.matches(SUBMIT_SELECTOR)) {
+            controls.push(control);
+          }
+        });
+    }
+    return controls;
+  }
+
+  /**
+   * Put a spinning loader icon at the start of a button
+   * @private
+   */
+  static _addSpinner(button) {
+    const spinner = document.createElement("lucide-icon");
+    spinner.setAttribute("name", "loader");
+    spinner.setAttribute("size", "small");
+    spinner.setAttribute("spin", "");
+    spinner.className = "request-spinner";
+    spinner.style.marginInlineEnd = "0.5em";
+    spinner.style.verticalAlign = "middle";
+    button.prepend(spinner);
+
+    return spinner;
+  }
+}
+
+// Input types that never contribute a variable
+const SKIPPED_INPUT_TYPES = ["submit", "button", "reset", "image", "file"];
+
+// Serialize forms into typed GraphQL variables
+export class FormSerializer {
+  /**
+   * Builds a GraphQL variables object from a form
+   * Field names are parsed like error paths, so `input[address][street]`,
+   * `input.address.street` and `items[2].quantity` all produce nested input.
+   * Types come from a `data-graphql-type` attribute, the type map (keyed by
+   * path such as `input.age` or `items.quantity`) or the input type.
+   * @param {HTMLFormElement} form - The form to serialize
+   * @param {Object<string, string>} [types={}] - Map of field path to GraphQL type, e.g. `Int` or `[ID!]`
+   * @returns {Object} The variables
+   */
+  static serialize(form, types = {}) {
+    const variables = {};
+
+    // Group fields by name so checkbox groups become lists
+    const groups = new Map();
+    Array.from(form.elements).forEach((element) => {
+      if (
+        !element.name ||
+        element.disabled ||
+        element.tagName === "BUTTON" ||
+        element.tagName === "FIELDSET" ||
+        SKIPPED_INPUT_TYPES.includes(element.type)
+      ) {
+        return;
+      }
+
+      if (!groups.has(element.name)) {
+        groups.set(element.name, []);
+      }
+      groups.get(element.name).push(element);
+    });
+
+    groups.forEach((elements, name) => {
+      const segments = FormErrorHandler.parseFieldPath(name);
+      if (segments.length === 0) {
+        return;
+      }
+
+      const type = FormSerializer._typeFor(elements[0], segments, types);
+      const value = FormSerializer._valueOf(elements, name, type);
+      FormSerializer._setPath(variables, segments, value);
+    });
+
+    return variables;
+  }
+
+  /**
+   * Encodes a form with file inputs as a GraphQL multipart request
+   * See https://github.com/jaydenseric/graphql-multipart-request-spec
+   * Files become `null` in the variables and are listed in the `map` part.
+   * @param {HTMLFormElement} form - The form to encode
+   * @param {Object} operation - `{query, operationName}` to send
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.types={}] - Map of field path to GraphQL type
+   * @param {string} [options.variable] - Nest all fields under this variable
+   * @returns {FormData} The `operations`, `map` and file parts
+   */
+  static toMultipart(form, operation, { types = {}, variable = null } = {}) {
+    const fields = FormSerializer.serialize(form, types);
+    const variables = variable ? { [variable]: fields } : fields;
+    const map = {};
+    const files = [];
+
+    FormSerializer.fileInputs(form).forEach((input) => {
+      const segments = FormErrorHandler.parseFieldPath(input.name);
+      const path = variable ? [variable, ...segments] : segments;
+      const isList = input.multiple || input.name.endsWith("[]");
+      const inputFiles = Array.from(input.files);
+
+      FormSerializer._setPath(
+        variables,
+        path,
+        isList ? inputFiles.map(() => null) : null,
+      );
+
+      inputFiles.slice(0, isList ? undefined : 1).forEach((file, i) => {
+        const filePath = isList ? [...path, i] : path;
+        map[files.length] = [["variables", ...filePath].join(".")];
+        files.push(file);
+      });
+    });
+
+    const body = new FormData();
+    body.append("operations", JSON.stringify({ ...operation, variables }));
+    body.append("map", JSON.stringify(map));
+    files.forEach((file, i) => body.append(String(i), file, file.name));
+
+    return body;
+  }
+
+  /**
+   * Find the file inputs in a form that have files selected
+   * @param {HTMLFormElement} form - The form to search
+   * @returns {HTMLInputElement[]} The file inputs
+   */
+  static fileInputs(form) {
+    return Array.from(form.querySelectorAll('input[type="file"][name]')).filter(
+      (input) => !input.disabled && input.files && input.files.length > 0,
+    );
+  }
+
+  /**
+   * Converts a form value to a GraphQL scalar or list type
+   * Values that are not a valid number are sent as typed, so the server
+   * reports them rather than receiving a truncated number.
+   * @param {*} value - The raw value
+   * @param {string} [type] - GraphQL type such as `Int`, `Boolean!` or `[Float]`
+   * @returns {*} The typed value
+   */
+  static coerce(value, type) {
+    if (!type) {
+      return value;
+    }
+
+    const baseType = type.trim().replace(/!$/, "");
+
+    if (baseType.startsWith("[")) {
+      const itemType = baseType.slice(1, -1);
+      const items = Array.isArray(value) ? value : [value];
+      return items
+        .filter((item) => item !== undefined)
+        .map((item) => FormSerializer.coerce(item, itemType));
+    }
+
+    if (baseType === "Boolean") {
+      if (typeof value === "boolean") {
+        return value;
+      }
+      return ["true", "on", "1", "yes"].includes(String(value).toLowerCase());
+    }
+
+    if (value === "" || value === null || value === undefined) {
+      return baseType === "String" ? "" : null;
+    }
+
+    switch (baseType) {
+      case "Int": {
+        const number = String(value).trim() === "" ? NaN : Number(value);
+        return Number.isInteger(number) ? number : value;
+      }
+      case "Float": {
+        const number = String(value).trim() === "" ? NaN : Number(value);
+        return Number.isFinite(number) ? number : value;
+      }
+      case "JSON":
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          console.warn(`Invalid JSON value "${value}", sending as a string.`);
+          return value;
+        }
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Work out the GraphQL type for a field
+   * @private
+   */
+  static _typeFor(element, segments, types) {
+    if (element.dataset && element.dataset.graphqlType) {
+      return element.dataset.graphqlType;
+    }
+
+    // Match `items[2].quantity` as well as `items.quantity`
+    const exact = namingConventions.js(segments);
+    const general = segments
+      .filter((segment) => typeof segment !== "number")
+      .join(".");
+    if (types[exact]) {
+      return types[exact];
+    }
+    if (types[general]) {
+      return types[general];
+    }
+
+    if (element.type === "number" || element.type === "range") {
+      return "Float";
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the value of a group of same-named fields
+   * @private
+   */
+  static _valueOf(elements, name, type) {
+    const first = elements[0];
+    const isList =
+      name.endsWith("[]") ||
+      (type && type.trim().startsWith("[")) ||
+      (first.tagName === "SELECT" && first.multiple) ||
+      (first.type === "checkbox" && elements.length > 1);
+
+    // A lone checkbox without a value is a boolean toggle
+    if (first.type === "checkbox" && !isList && !first.hasAttribute("value")) {
+      return FormSerializer.coerce(first.checked, type || "Boolean");
+    }
+
+    let values;
+    if (first.type === "checkbox" || first.type === "radio") {
+      values = elements.filter((el) => el.checked).map((el) => el.value);
+    } else if (first.tagName === "SELECT" && first.multiple) {
+      values = Array.from(first.selectedOptions).map((option) => option.value);
+    } else {
+      values = elements.map((el) => el.value);
+    }
+
+    if (isList) {
+      const listType = type && type.trim().startsWith("[") ? type : null;
+      return listType
+        ? FormSerializer.coerce(values, listType)
+        : values.map((value) => FormSerializer.coerce(value, type));
+    }
+
+    // An unchecked checkbox or radio group has no value
+    const value = values.length > 0 ? values[0] : null;
+    return value === null ? null : FormSerializer.coerce(value, type);
+  }
+
+  /**
+   * Assign a value at a nested path, creating objects and lists as needed
+   * @private
+   */
+  static _setPath(target, segments, value) {
+    let current = target;
+
+    segments.forEach((segment, i) => {
+      if (i === segments.length - 1) {
+        current[segment] = value;
+        return;
+      }
+
+      if (current[segment] === undefined || current[segment] === null) {
+        current[segment] = typeof segments[i + 1] === "number" ? [] : {};
+      }
+      current = current[segment];
+    });
   }
 }
 
 // Create a utility class for handling GraphQL responses
 export class GraphQLToastHandler {
+  /**
+   * Which `document.location.search` params the HTMX extension adds to requests
+   * Uses the `hx-params` syntax: `*` for all, `none`, `a,b` to allow only
+   * those or `not a,b` to leave those out. An array is an allow-list.
+   * Override per element with the `hx-graphql-params` (or
+   * `data-hx-graphql-params`) attribute.
+   * @type {string|string[]}
+   */
+  static forwardParams = "*";
+
+  /**
+   * How errors are reported, by `extensions.code`
+   * Each code maps to a toast type, or to `{type, redirect}` to also navigate
+   * away, e.g. `UNAUTHENTICATED: {type: "warning", redirect: "/login"}`.
+   * Codes that are not listed are shown as errors.
+   * @type {Object<string, string|{type: string, redirect?: string}>}
+   */
+  static errorCodes = {
+    UNAUTHENTICATED: "warning",
+    FORBIDDEN: "warning",
+    PERSISTED_QUERY_NOT_FOUND: "info",
+  };
+
   /**
    * Creates and displays toast notifications for GraphQL errors or success messages
+   * A partial result (data alongside errors) still shows the success message.
+   * Check `redirected(response)` afterwards before swapping anything in.
    * @param {Object} response - The GraphQL response object with data, errors, and extensions properties
    * @param {number} [duration=4000] - How long the toast should stay visible (ms)
    * @returns {Object} - The data portion of the response
    */
   static handleResponse(response, duration = 4000) {
-    // Check if there are errors to display
-    if (response.errors && response.errors.length > 0) {
-      // Display each error as a separate toast
-      response.errors.forEach((error) => {
-        showToast({
-          type: "error",
-          message: error.message || "An error occurred",
-          duration,
-        });
-      });
-    } else if (response.extensions && response.extensions.successMessage) {
-      // Display success message if provided in extensions
+    const errors = response.errors || [];
+    if (GraphQLToastHandler.reportErrors(errors, duration)) {
+      redirectedResponses.add(response);
+      return response.data;
+    }
+
+    // Some fields resolved even if others failed
+    if (
+      response.extensions &&
+      response.extensions.successMessage &&
+      (errors.length === 0 || GraphQLToastHandler.hasData(response))
+    ) {
       showToast({
         type: "success",
         message: response.extensions.successMessage,
@@ -166,6 +996,486 @@ export class GraphQLToastHandler {
     return response.data;
   }
 
+  /**
+   * Check whether `handleResponse` redirected the page for a response's errors
+   * @param {Object} response - The GraphQL response
+   * @returns {boolean} True when the page is navigating away
+   */
+  static redirected(response) {
+    return redirectedResponses.has(response);
+  }
+
+  /**
+   * Check whether any field of a response resolved
+   * @param {Object} response - The GraphQL response
+   * @returns {boolean} True when data holds at least one non-null field
+   */
+  static hasData(response) {
+    return (
+      response.data !== null &&
+      typeof response.data === "object" &&
+      Object.values(response.data).some((value) => value !== null)
+    );
+  }
+
+  /**
+   * Toast GraphQL errors, one toast per distinct message and code
+   * Repeated errors are grouped and list every field path that failed.
+   * When a code's mapping has a `redirect` the page then navigates there.
+   * @param {Array<Object>} errors - The GraphQL errors
+   * @param {number} [duration=4000] - How long the toast should stay visible (ms)
+   * @returns {boolean} True when an error code redirected the page
+   */
+  static reportErrors(errors, duration = 4000) {
+    let redirect = null;
+
+    GraphQLToastHandler._groupErrors(errors).forEach((group) => {
+      const severity = GraphQLToastHandler._severityFor(group.code);
+      redirect = redirect || severity.redirect || null;
+      showToast({
+        type: severity.type,
+        message: GraphQLToastHandler._describeErrors(group),
+        duration,
+      });
+    });
+
+    if (redirect) {
+      window.location.assign(redirect);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Group errors that share a message and code
+   * @private
+   */
+  static _groupErrors(errors) {
+    const groups = new Map();
+
+    errors.forEach((error) => {
+      const message = error.message || "An error occurred";
+      const code = (error.extensions && error.extensions.code) || null;
+      const key = JSON.stringify([message, code]);
+      if (!groups.has(key)) {
+        groups.set(key, { message, code, paths: [], locations: [], count: 0 });
+      }
+
+      const group = groups.get(key);
+      group.count += 1;
+      if (Array.isArray(error.path) && error.path.length > 0) {
+        const path = FormErrorHandler.formatFieldPath(error.path);
+        if (!group.paths.includes(path)) {
+          group.paths.push(path);
+        }
+      } else if (Array.isArray(error.locations)) {
+        error.locations.forEach(({ line, column }) => {
+          const location = `line ${line}, column ${column}`;
+          if (!group.locations.includes(location)) {
+            group.locations.push(location);
+          }
+        });
+      }
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * The toast type and redirect for an error code
+   * @private
+   */
+  static _severityFor(code) {
+    const mapping = code ? GraphQLToastHandler.errorCodes[code] : null;
+    if (!mapping) {
+      return { type: "error" };
+    }
+    return typeof mapping === "string"
+      ? { type: mapping }
+      : { type: "error", ...mapping };
+  }
+
+  /**
+   * Describe a group of errors, saying where they happened
+   * @private
+   */
+  static _describeErrors(group) {
+    // Paths say which field failed, locations point into the document
+    if (group.paths.length > 0) {
+      return `${group.message} (${group.paths.join(", ")})`;
+    }
+    if (group.locations.length > 0) {
+      return `${group.message} (${group.locations.join("; ")})`;
+    }
+    return group.count > 1
+      ? `${group.message} (×${group.count})`
+      : group.message;
+  }
+
+  /**
+   * Applies the side effects a GraphQL response asks for in its extensions
+   * - `oob`: map of selector to HTML, or to `{html, swap}`, swapped out of band
+   *   (innerHTML unless another swap style is given)
+   * - `trigger`: event name, comma separated names, or map of name to detail,
+   *   dispatched on the element like htmx's `HX-Trigger` header
+   * - `redirect`: URL to navigate to
+   * - `refresh`: reload the page when true
+   * @param {Object} [extensions] - The response extensions
+   * @param {Element} [elt=document.body] - Element the events are dispatched on
+   * @returns {boolean} True when the page is navigating away
+   */
+  static handleExtensions(extensions, elt = document.body) {
+    if (!extensions) {
+      return false;
+    }
+
+    if (extensions.oob) {
+      Object.entries(extensions.oob).forEach(([selector, content]) => {
+        const { html, swap = "innerHTML" } =
+          typeof content === "string" ? { html: content } : content;
+        const targets = document.querySelectorAll(selector);
+
+        if (targets.length === 0) {
+          console.warn(
+            `No element matches out of band selector "${selector}".`,
+          );
+        }
+
+        targets.forEach((target) => {
+          const parent = target.parentElement;
+          swapHtml(target, html, swap);
+          if (typeof htmx !== "undefined") {
+            htmx.process(
+              swap === "innerHTML" ? target : parent || document.body,
+            );
+          }
+        });
+      });
+    }
+
+    if (extensions.trigger) {
+      const events =
+        typeof extensions.trigger === "string"
+          ? Object.fromEntries(
+              extensions.trigger
+                .split(",")
+                .map((name) => name.trim())
+                .filter(Boolean)
+                .map((name) => [name, null]),
+            )
+          : extensions.trigger;
+      const source = elt && elt.isConnected ? elt : document.body;
+
+      Object.entries(events).forEach(([name, detail]) => {
+        source.dispatchEvent(
+          new CustomEvent(name, { bubbles: true, detail: detail ?? {} }),
+        );
+      });
+    }
+
+    if (extensions.redirect) {
+      window.location.assign(extensions.redirect);
+      return true;
+    }
+
+    if (extensions.refresh) {
+      window.location.reload();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handles the chunks of a subsequent incremental (@defer / @stream) payload
+   * Errors are toasted and each chunk's `extensions.html` is swapped into
+   * `extensions.target`, or the element whose `data-graphql-defer` matches
+   * the chunk's label or path (e.g. `data-graphql-defer="viewer.stats"`).
+   * @param {Array<Object>} chunks - Chunks from `IncrementalResult.apply`
+   * @param {number} [duration=4000] - How long the toast should stay visible (ms)
+   * @returns {boolean} True when the page is navigating away, later chunks
+   *   are then left alone
+   */
+  static handleIncremental(chunks, duration = 4000) {
+    return chunks.some((chunk) => {
+      if (GraphQLToastHandler.reportErrors(chunk.errors || [], duration)) {
+        return true;
+      }
+
+      const extensions = chunk.extensions || {};
+      if (GraphQLToastHandler.handleExtensions(extensions)) {
+        return true;
+      }
+
+      if (extensions.successMessage) {
+        showToast({
+          type: "success",
+          message: extensions.successMessage,
+          duration,
+        });
+      }
+
+      if (!extensions.html) {
+        return false;
+      }
+
+      const target = GraphQLToastHandler._incrementalTarget(chunk);
+      if (!target) {
+        console.warn(
+          `No target found for deferred HTML "${chunk.label || chunk.path.join(".")}".`,
+        );
+        return false;
+      }
+
+      // Streamed items are appended, deferred fragments replace a placeholder
+      swapHtml(
+        target,
+        extensions.html,
+        extensions.swap ||
+          target.getAttribute("data-graphql-swap") ||
+          (chunk.items ? "beforeend" : "innerHTML"),
+      );
+
+      if (typeof htmx !== "undefined") {
+        htmx.process(target);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Find where a deferred chunk's HTML goes
+   * @private
+   */
+  static _incrementalTarget(chunk) {
+    const extensions = chunk.extensions || {};
+    if (extensions.target) {
+      return document.querySelector(extensions.target);
+    }
+
+    const keys = [chunk.label, chunk.path.join(".")].filter(Boolean);
+    for (const key of keys) {
+      const target = document.querySelector(
+        `[data-graphql-defer="${CSS.escape(key)}"]`,
+      );
+      if (target) {
+        return target;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the URL params to forward with a request from an element
+   * @param {Element} [elt] - The element making the request
+   * @param {string} [search=document.location.search] - The query string to read
+   * @returns {Object<string, string>} The params to forward
+   */
+  static forwardedParams(elt, search = document.location.search) {
+    const holder =
+      elt &&
+      elt.closest &&
+      elt.closest("[hx-graphql-params], [data-hx-graphql-params]");
+    const spec = holder
+      ? (holder.getAttribute("hx-graphql-params") ??
+        holder.getAttribute("data-hx-graphql-params"))
+      : GraphQLToastHandler.forwardParams;
+    const shouldForward = GraphQLToastHandler._paramFilter(spec);
+
+    const forwarded = {};
+    for (const [key, value] of new URLSearchParams(search).entries()) {
+      if (shouldForward(key)) {
+        forwarded[key] = value;
+      }
+    }
+    return forwarded;
+  }
+
+  /**
+   * Turn a forwarding rule into a predicate for param names
+   * @private
+   */
+  static _paramFilter(spec) {
+    if (Array.isArray(spec)) {
+      return (name) => spec.includes(name);
+    }
+
+    const rule = (spec || "").trim();
+    if (rule === "" || rule === "none") {
+      return () => false;
+    }
+    if (rule === "*" || rule === "all") {
+      return () => true;
+    }
+
+    const list = (value) =>
+      value
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+    if (rule.startsWith("not ")) {
+      const denied = list(rule.slice(4));
+      return (name) => !denied.includes(name);
+    }
+
+    const allowed = list(rule);
+    return (name) => allowed.includes(name);
+  }
+
+  /**
+   * Find the GraphQL upload for an HTMX request, if it should be one
+   * The form needs selected files and a document from `hx-graphql-query`
+   * or a `<script type="application/graphql">` inside it.
+   * @private
+   */
+  static _uploadFor(elt) {
+    const form = FormErrorHandler.rootFor(elt);
+    if (form === document || FormSerializer.fileInputs(form).length === 0) {
+      return null;
+    }
+
+    const attribute = (name) => {
+      const holder = elt.closest(`[${name}]`);
+      return holder ? holder.getAttribute(name) : null;
+    };
+
+    const script = form.querySelector('script[type="application/graphql"]');
+    const query =
+      attribute("hx-graphql-query") || (script && script.textContent.trim());
+    if (!query) {
+      return null;
+    }
+
+    let types = {};
+    try {
+      types = JSON.parse(attribute("hx-graphql-types") || "{}");
+    } catch (e) {
+      console.error("Invalid JSON in hx-graphql-types attribute:", e);
+    }
+
+    const operation = { query };
+    const operationName = attribute("hx-graphql-operation");
+    if (operationName) {
+      operation.operationName = operationName;
+    }
+
+    return {
+      form,
+      operation,
+      types,
+      variable: attribute("hx-graphql-variable"),
+    };
+  }
+
+  /**
+   * Show upload progress in a toast until the request finishes
+   * @private
+   */
+  static _trackUpload(xhr, elt) {
+    const toast = showToast({
+      type: "info",
+      message: "Uploading…",
+      autoHide: false,
+      progress: 0,
+    });
+
+    xhr.upload.addEventListener("progress", (e) => {
+      if (e.lengthComputable) {
+        toast.progress = Math.round((e.loaded / e.total) * 100);
+      }
+      elt.dispatchEvent(
+        new CustomEvent("graphql:upload-progress", {
+          bubbles: true,
+          detail: { loaded: e.loaded, total: e.total },
+        }),
+      );
+    });
+
+    xhr.addEventListener("loadend", () => toast.hide());
+  }
+
+  /**
+   * Process the parts of a multipart/mixed HTMX response received so far
+   * The initial payload is handled like a JSON response and swapped straight
+   * away, so deferred chunks can fill in placeholders as they arrive.
+   * @private
+   */
+  static _readIncrementalXhr(xhr, detail) {
+    const contentType = xhr.getResponseHeader("Content-Type");
+    if (!isMultipartMixed(contentType)) {
+      return null;
+    }
+
+    let state = incrementalRequests.get(xhr);
+    if (!state) {
+      state = {
+        parser: new MultipartMixedParser(multipartBoundary(contentType)),
+        offset: 0,
+        result: null,
+        redirected: false,
+      };
+      incrementalRequests.set(xhr, state);
+    }
+
+    const text = xhr.responseText.slice(state.offset);
+    state.offset = xhr.responseText.length;
+
+    state.parser.push(text).forEach((payload) => {
+      // Nothing more is applied once the page is navigating away
+      if (state.redirected) {
+        return;
+      }
+
+      if (state.result) {
+        state.redirected = GraphQLToastHandler.handleIncremental(
+          state.result.apply(payload),
+        );
+        return;
+      }
+
+      state.result = new IncrementalResult(payload);
+      GraphQLToastHandler.handleResponse(payload);
+      if (GraphQLToastHandler.redirected(payload)) {
+        state.redirected = true;
+        return;
+      }
+      FormErrorHandler.handleErrors(
+        payload,
+        FormErrorHandler.rootFor(detail.elt),
+      );
+      if (
+        GraphQLToastHandler.handleExtensions(payload.extensions, detail.elt)
+      ) {
+        return;
+      }
+
+      if (payload.extensions && payload.extensions.html && detail.target) {
+        const swapElement = detail.elt.closest("[hx-swap], [data-hx-swap]");
+        const swapSpec =
+          (swapElement &&
+            (swapElement.getAttribute("hx-swap") ||
+              swapElement.getAttribute("data-hx-swap"))) ||
+          htmx.config.defaultSwapStyle ||
+          "innerHTML";
+        const swapStyle = swapSpec.split(" ")[0];
+
+        // outerHTML replaces the target, so process its parent afterwards
+        const processRoot =
+          swapStyle === "innerHTML"
+            ? detail.target
+            : detail.target.parentElement;
+        swapHtml(detail.target, payload.extensions.html, swapStyle);
+        if (processRoot) {
+          htmx.process(processRoot);
+        }
+      }
+    });
+
+    return state;
+  }
+
   /**
    * Add HTMX extension for GraphQL responses
    */
@@ -178,28 +1488,84 @@ export class GraphQLToastHandler {
 
     // Register the HTMX extension
     htmx.defineExtension("graphql-toast", {
+      // Send forms with files as GraphQL multipart requests
+      encodeParameters: function (xhr, parameters, elt) {
+        const upload = GraphQLToastHandler._uploadFor(elt);
+        if (!upload) {
+          return null;
+        }
+        return FormSerializer.toMultipart(upload.form, upload.operation, {
+          types: upload.types,
+          variable: upload.variable,
+        });
+      },
+
       onEvent: function (name, evt) {
         // Handle JSON responses for HTMX requests
         if (name === "htmx:configRequest") {
-          evt.detail.headers["Accept"] = "application/json";
-          // Add all the params to the request
-          const params = new URLSearchParams(document.location.search);
-          for (const [key, value] of params.entries()) {
-            evt.detail.parameters[key] = value;
+          evt.detail.headers["Accept"] = GRAPHQL_ACCEPT;
+          // Add the forwarded URL params, form values win on conflict
+          const params = GraphQLToastHandler.forwardedParams(evt.detail.elt);
+          Object.entries(params).forEach(([key, value]) => {
+            if (evt.detail.parameters[key] === undefined) {
+              evt.detail.parameters[key] = value;
+            }
+          });
+
+          // Let the browser set the multipart boundary for uploads
+          if (GraphQLToastHandler._uploadFor(evt.detail.elt)) {
+            delete evt.detail.headers["Content-Type"];
           }
         }
 
         if (name === "htmx:beforeRequest") {
-          FormErrorHandler.clearErrors();
+          const root = FormErrorHandler.rootFor(evt.detail.elt);
+          FormErrorHandler.clearErrors(root);
+          const trigger = evt.detail.requestConfig?.triggeringEvent;
+          RequestIndicator.start(root, trigger && trigger.submitter);
+
+          // Apply incremental payloads while the response is still loading
+          const { xhr } = evt.detail;
+          xhr.addEventListener("progress", () => {
+            GraphQLToastHandler._readIncrementalXhr(xhr, evt.detail);
+          });
+
+          if (GraphQLToastHandler._uploadFor(evt.detail.elt)) {
+            GraphQLToastHandler._trackUpload(xhr, evt.detail.elt);
+          }
+        }
+
+        // Restore the form however the request ended
+        if (
+          name === "htmx:afterRequest" ||
+          name === "htmx:sendError" ||
+          name === "htmx:sendAbort" ||
+          name === "htmx:timeout"
+        ) {
+          RequestIndicator.end(FormErrorHandler.rootFor(evt.detail.elt));
+        }
+
+        if (name === "htmx:sendError" || name === "htmx:timeout") {
+          showToast({
+            type: "error",
+            message:
+              name === "htmx:timeout"
+                ? "The request timed out. Please try again."
+                : "The request failed. Please try again.",
+          });
         }
 
         if (name === "htmx:beforeSwap") {
           const xhr = evt.detail.xhr;
 
+          // Incremental responses were swapped as their parts arrived
+          if (GraphQLToastHandler._readIncrementalXhr(xhr, evt.detail)) {
+            evt.detail.shouldSwap = false;
+            return true;
+          }
+
           // Check if this is a JSON response
-          if (
-            xhr.getResponseHeader("Content-Type")?.includes("application/json")
-          ) {
+          if (xhr.getResponseHeader("Content-Type")?.includes("json")) {
             try {
               // Parse JSON response
               const response = JSON.parse(xhr.responseText);
@@ -209,15 +1575,37 @@ export class GraphQLToastHandler {
                 response &&
                 (response.data !== undefined || response.errors)
               ) {
-                // Handle the GraphQL response notifications
+                // Handle the GraphQL response notifications, and stop if
+                // an error code redirected the page
                 GraphQLToastHandler.handleResponse(response);
-                FormErrorHandler.handleErrors(response);
+                if (GraphQLToastHandler.redirected(response)) {
+                  evt.detail.shouldSwap = false;
+                  return true;
+                }
+                FormErrorHandler.handleErrors(
+                  response,
+                  FormErrorHandler.rootFor(evt.detail.elt),
+                );
+
+                // Out of band swaps and events, stop if navigating away
+                if (
+                  GraphQLToastHandler.handleExtensions(
+                    response.extensions,
+                    evt.detail.elt,
+                  )
+                ) {
+                  evt.detail.shouldSwap = false;
+                  return true;
+                }
 
                 // Check if there's HTML in the extensions
                 if (response.extensions && response.extensions.html) {
                   // Use the HTML from extensions for the swap
                   evt.detail.serverResponse = response.extensions.html;
-                } else if (!response.data && response.errors) {
+                } else if (
+                  response.errors &&
+                  !GraphQLToastHandler.hasData(response)
+                ) {
                   // If there's an error but no HTML or data, prevent the swap
                   evt.detail.shouldSwap = false;
                   return true;
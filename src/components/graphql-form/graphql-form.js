@@ -0,0 +1,293 @@
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
+import { graphql } from "../../graphql-client.js";
+import {
+  FormErrorHandler,
+  FormSerializer,
+  GraphQLToastHandler,
+  RequestIndicator,
+  swapHtml,
+} from "../forms.js";
+import { showToast } from "../toast/toast.js";
+import formTemplate from "./graphql-form.html";
+import formStyles from "./graphql-form.css";
+
+/**
+ * Wraps a form and submits it as a JSON GraphQL request
+ * @element graphql-form
+ * @attr {string} mutation - The mutation (or query) document to send
+ * @attr {string} endpoint - GraphQL endpoint, defaults to the form action or `UILibrary.graphql.endpoint`
+ * @attr {string} types - JSON map of field path to GraphQL type, e.g. `{"input.age": "Int"}`
+ * @attr {string} variable - Nest all fields under this variable, e.g. `input`
+ * @attr {string} operation-name - Operation name to send with the request
+ * @attr {string} target - Selector for the element `extensions.html` is swapped
+ *   into, defaults to a `[data-graphql-result]` child placed after the form
+ * @attr {string} swap - How `extensions.html` is swapped, as with `hx-swap`
+ * @attr {boolean} reset - Reset the form after a request without errors
+ * @fires graphql-form:request - Before the request is sent, cancelable
+ * @fires graphql-form:response - After a GraphQL response was handled
+ * @fires graphql-form:error - When the request itself failed
+ */
+export class GraphQLForm extends HTMLElement {
+  constructor() {
+    super();
+
+    // Create shadow DOM
+    this.attachShadow({ mode: "open" });
+
+    // Apply styles
+    applyStyles(this.shadowRoot, formStyles, document.adoptedStyleSheets);
+    loadTemplate(formTemplate, this.shadowRoot);
+
+    this._onSubmit = this._onSubmit.bind(this);
+  }
+
+  /**
+   * Web component lifecycle: Component added to DOM
+   */
+  connectedCallback() {
+    syncStyles(this.shadowRoot);
+    this.addEventListener("submit", this._onSubmit);
+  }
+
+  /**
+   * Web component lifecycle: Component removed from DOM
+   */
+  disconnectedCallback() {
+    this.removeEventListener("submit", this._onSubmit);
+  }
+
+  /**
+   * The wrapped form
+   * @returns {HTMLFormElement|null}
+   */
+  get form() {
+    return this.querySelector("form");
+  }
+
+  /**
+   * The GraphQL document, from the `mutation` attribute or a
+   * `<script type="application/graphql">` child
+   * @returns {string}
+   */
+  get query() {
+    if (this.hasAttribute("mutation")) {
+      return this.getAttribute("mutation");
+    }
+    const script = this.querySelector('script[type="application/graphql"]');
+    return script ? script.textContent.trim() : "";
+  }
+
+  /**
+   * Query setter
+   */
+  set query(value) {
+    this.setAttribute("mutation", value);
+  }
+
+  /**
+   * The GraphQL endpoint
+   * @returns {string}
+   */
+  get endpoint() {
+    const form = this.form;
+    return (
+      this.getAttribute("endpoint") ||
+      (form && form.getAttribute("action")) ||
+      graphql.endpoint
+    );
+  }
+
+  /**
+   * The variable type map
+   * @returns {Object<string, string>}
+   */
+  get types() {
+    if (this._types) {
+      return this._types;
+    }
+    try {
+      return JSON.parse(this.getAttribute("types") || "{}");
+    } catch (e) {
+      console.error("Invalid JSON in graphql-form types attribute:", e);
+      return {};
+    }
+  }
+
+  /**
+   * Types setter
+   * @param {Object<string, string>} value
+   */
+  set types(value) {
+    this._types = value;
+  }
+
+  /**
+   * The variables built from the current form values
+   * @returns {Object}
+   */
+  get variables() {
+    const form = this.form;
+    const variables = form ? FormSerializer.serialize(form, this.types) : {};
+    const variable = this.getAttribute("variable");
+    return variable ? { [variable]: variables } : variables;
+  }
+
+  /**
+   * Send the form as a GraphQL request and handle the response
+   * The form is marked busy until the request settles, see `RequestIndicator`
+   * @param {HTMLElement} [submitter] - The button that submitted the form
+   * @returns {Promise<Object|null>} The GraphQL response, or null if the request failed
+   */
+  async submit(submitter = null) {
+    const form = this.form;
+    if (form && RequestIndicator.isBusy(form)) {
+      return null;
+    }
+
+    const body = { query: this.query, variables: this.variables };
+    if (this.hasAttribute("operation-name")) {
+      body.operationName = this.getAttribute("operation-name");
+    }
+
+    // Let listeners adjust or cancel the request
+    const allowed = this.dispatchEvent(
+      new CustomEvent("graphql-form:request", {
+        bubbles: true,
+        cancelable: true,
+        detail: { body },
+      }),
+    );
+    if (!allowed) {
+      return null;
+    }
+
+    if (form) {
+      FormErrorHandler.clearErrors(form);
+      RequestIndicator.start(form, submitter);
+    }
+
+    try {
+      // Incremental responses are handled part by part as they arrive
+      // Nothing more is applied once an error code redirected the page
+      let incremental = false;
+      let redirected = false;
+      const response = await graphql.request({
+        ...body,
+        endpoint: this.endpoint,
+        handleResponse: false,
+        onPayload: (payload, chunks) => {
+          incremental = true;
+          if (redirected) {
+            return;
+          }
+          if (chunks) {
+            redirected = GraphQLToastHandler.handleIncremental(chunks);
+          } else {
+            this._handleResponse(payload);
+            redirected = GraphQLToastHandler.redirected(payload);
+          }
+        },
+      });
+
+      if (!incremental) {
+        this._handleResponse(response);
+      }
+
+      if (
+        form &&
+        this.hasAttribute("reset") &&
+        !(response.errors && response.errors.length > 0)
+      ) {
+        form.reset();
+      }
+
+      this.dispatchEvent(
+        new CustomEvent("graphql-form:response", {
+          bubbles: true,
+          detail: { response },
+        }),
+      );
+
+      return response;
+    } catch (error) {
+      console.error("GraphQL form request failed:", error);
+      showToast({
+        type: "error",
+        message: "The request failed. Please try again.",
+      });
+
+      this.dispatchEvent(
+        new CustomEvent("graphql-form:error", {
+          bubbles: true,
+          detail: { error },
+        }),
+      );
+
+      return null;
+    } finally {
+      if (form) {
+        RequestIndicator.end(form);
+      }
+    }
+  }
+
+  /**
+   * Show toasts and field errors and swap in `extensions.html`
+   * @private
+   */
+  _handleResponse(response) {
+    // Handle the response just like the HTMX extension
+    GraphQLToastHandler.handleResponse(response);
+    if (GraphQLToastHandler.redirected(response)) {
+      return;
+    }
+    FormErrorHandler.handleErrors(response, this.form || this);
+    if (GraphQLToastHandler.handleExtensions(response.extensions, this)) {
+      return;
+    }
+
+    if (response.extensions && response.extensions.html) {
+      const selector = this.getAttribute("target");
+      const target = selector
+        ? document.querySelector(selector)
+        : this._resultContainer();
+      swapHtml(
+        target,
+        response.extensions.html,
+        this.getAttribute("swap") || "innerHTML",
+      );
+    }
+  }
+
+  /**
+   * Find or add the default swap target, so the wrapped form is kept
+   * @private
+   */
+  _resultContainer() {
+    let container = this.querySelector(":scope > [data-graphql-result]");
+    if (!container) {
+      container = document.createElement("div");
+      container.setAttribute("data-graphql-result", "");
+      const form = this.form;
+      if (form && form.parentElement === this) {
+        form.after(container);
+      } else {
+        this.appendChild(container);
+      }
+    }
+    return container;
+  }
+
+  /**
+   * Submit through GraphQL instead of the browser
+   * @private
+   */
+  _onSubmit(e) {
+    e.preventDefault();
+    this.submit(e.submitter);
+  }
+}
@@ -0,0 +1,206 @@
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
+import { graphql, GraphQLResponseError } from "../../graphql-client.js";
+import { createSubscriptionClient } from "../../graphql-subscriptions.js";
+import { GraphQLToastHandler, swapHtml } from "../forms.js";
+import { showToast } from "../toast/toast.js";
+import subscriptionTemplate from "./graphql-subscription.html";
+import subscriptionStyles from "./graphql-subscription.css";
+
+/**
+ * Subscribes to a GraphQL subscription while it is in the document
+ * Each result is handled like a GraphQL response: `extensions.html` is
+ * swapped into the target and messages and errors are shown as toasts.
+ * @element graphql-subscription
+ * @attr {string} query - The subscription document
+ * @attr {string} url - Subscription endpoint, defaults to `UILibrary.graphql.endpoint`
+ * @attr {string} transport - `ws` (graphql-transport-ws, default) or `sse`
+ * @attr {string} variables - JSON encoded variables
+ * @attr {string} operation-name - Operation name to send
+ * @attr {string} target - Selector for the element `extensions.html` is swapped into
+ * @attr {string} swap - How `extensions.html` is swapped, as with `hx-swap`
+ * @attr {string} status - Reflects the connection: connecting, open, reconnecting or closed
+ * @fires graphql-subscription:next - For each result
+ * @fires graphql-subscription:error - When the subscription failed
+ * @fires graphql-subscription:complete - When the server ended the subscription
+ */
+export class GraphQLSubscription extends HTMLElement {
+  constructor() {
+    super();
+
+    // Create shadow DOM
+    this.attachShadow({ mode: "open" });
+
+    // Apply styles
+    applyStyles(
+      this.shadowRoot,
+      subscriptionStyles,
+      document.adoptedStyleSheets,
+    );
+    loadTemplate(subscriptionTemplate, this.shadowRoot);
+
+    this._client = null;
+    this._unsubscribe = null;
+    this._query = "";
+  }
+
+  /**
+   * Web component lifecycle: When attributes change
+   */
+  static get observedAttributes() {
+    return ["query", "url", "transport", "variables", "operation-name"];
+  }
+
+  /**
+   * Web component lifecycle: Component added to DOM
+   */
+  connectedCallback() {
+    syncStyles(this.shadowRoot);
+    this.start();
+  }
+
+  /**
+   * Web component lifecycle: Component removed from DOM
+   */
+  disconnectedCallback() {
+    this.stop();
+  }
+
+  /**
+   * Web component lifecycle: Attribute changed
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Resubscribe with the new operation
+    if (oldValue !== newValue && this._client) {
+      this.start();
+    }
+  }
+
+  /**
+   * The subscription document, from the `query` attribute or a
+   * `<script type="application/graphql">` child
+   * @returns {string}
+   */
+  get query() {
+    if (this.hasAttribute("query")) {
+      return this.getAttribute("query");
+    }
+    const script = this.querySelector('script[type="application/graphql"]');
+    if (script) {
+      // Remember it, swapping into this element replaces the script
+      this._query = script.textContent.trim();
+    }
+    return this._query;
+  }
+
+  /**
+   * The subscription variables
+   * @returns {Object}
+   */
+  get variables() {
+    try {
+      return JSON.parse(this.getAttribute("variables") || "{}");
+    } catch (e) {
+      console.error("Invalid JSON in graphql-subscription variables:", e);
+      return {};
+    }
+  }
+
+  /**
+   * Open the connection and subscribe, restarting if already subscribed
+   */
+  start() {
+    this.stop();
+
+    const query = this.query;
+    if (!query) {
+      console.warn("graphql-subscription has no query to subscribe to");
+      return;
+    }
+
+    this._client = createSubscriptionClient({
+      url: this.getAttribute("url") || graphql.endpoint,
+      transport: this.getAttribute("transport") || "ws",
+      onStatus: (status) => this.setAttribute("status", status),
+    });
+
+    const payload = { query, variables: this.variables };
+    if (this.hasAttribute("operation-name")) {
+      payload.operationName = this.getAttribute("operation-name");
+    }
+
+    this._unsubscribe = this._client.subscribe(payload, {
+      next: (result) => this._handleResult(result),
+      error: (error) => this._handleError(error),
+      complete: () =>
+        this.dispatchEvent(
+          new CustomEvent("graphql-subscription:complete", { bubbles: true }),
+        ),
+    });
+  }
+
+  /**
+   * Unsubscribe and close the connection
+   */
+  stop() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (this._client) {
+      this._client.dispose();
+      this._client = null;
+    }
+  }
+
+  /**
+   * Apply a subscription result
+   * @private
+   */
+  _handleResult(result) {
+    GraphQLToastHandler.handleResponse(result);
+    const navigating =
+      GraphQLToastHandler.redirected(result) ||
+      GraphQLToastHandler.handleExtensions(result.extensions, this);
+
+    if (!navigating && result.extensions && result.extensions.html) {
+      const selector = this.getAttribute("target");
+      const target = selector ? document.querySelector(selector) : this;
+      swapHtml(
+        target,
+        result.extensions.html,
+        this.getAttribute("swap") || "innerHTML",
+      );
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("graphql-subscription:next", {
+        bubbles: true,
+        detail: { result },
+      }),
+    );
+  }
+
+  /**
+   * Report a failed subscription
+   * @private
+   */
+  _handleError(error) {
+    if (error instanceof GraphQLResponseError) {
+      GraphQLToastHandler.handleResponse(error.response);
+    } else {
+      showToast({ type: "error", message: error.message });
+    }
+
+    this._unsubscribe = null;
+    this.dispatchEvent(
+      new CustomEvent("graphql-subscription:error", {
+        bubbles: true,
+        detail: { error },
+      }),
+    );
+  }
+}
@@ -1,4 +1,8 @@
-import { applyStyles, loadTemplate } from "../../template-loader.js";
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
 import iconTemplate from "./lucide-icon.html";
 import iconStyles from "./lucide-icon.css";
 
@@ -7,6 +11,7 @@ import iconStyles from "./lucide-icon.css";
  *
  * To add a new one just pick a name copy the contents of the svg here. Only include the
  * contents of the svg and remove the <svg *></svg> tags as that is added by the component.
+ * Apps can add their own with `LucideIcon.register` or `LucideIcon.addSource`.
  */
 const icons = {
   menu: '<line x1="3" y1="12" x2="21" y2="12"></line><line x1="3" y1="6" x2="21" y2="6"></line><line x1="3" y1="18" x2="21" y2="18"></line>',
@@ -15,6 +20,8 @@ const icons = {
     '<path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"/>',
   moon: '<path d="M12 3a6 6 0 0 0 9 9 9 9 0 1 1-9-9Z"/>',
   sun: '<circle cx="12" cy="12" r="4"/><path d="M12 2v2"/><path d="M12 20v2"/><path d="m4.93 4.93 1.41 1.41"/><path d="m17.66 17.66 1.41 1.41"/><path d="M2 12h2"/><path d="M20 12h2"/><path d="m6.34 17.66-1.41 1.41"/><path d="m19.07 4.93-1.41 1.41"/>',
+  monitor:
+    '<rect width="20" height="14" x="2" y="3" rx="2"/><line x1="8" x2="16" y1="21" y2="21"/><line x1="12" x2="12" y1="17" y2="21"/>',
   // Add toast notification icons
   success:
     '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline>',
@@ -24,17 +31,134 @@ const icons = {
   error:
     '<circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line>',
   x: '<line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line>',
+  // Loading indicator
+  loader: '<path d="M21 12a9 9 0 1 1-6.219-8.56"/>',
+  // Notification center
+  bell: '<path d="M6 8a6 6 0 0 1 12 0c0 7 3 9 3 9H3s3-2 3-9"/><path d="M10.3 21a1.94 1.94 0 0 0 3.4 0"/>',
 };
 
+// Shown in place of an icon that is not registered anywhere
+const fallbackIcon =
+  '<rect x="3" y="3" width="18" height="18" rx="2" stroke-dasharray="4 3"/><path d="M9.1 9a3 3 0 0 1 5.82 1c0 2-3 3-3 3"/><path d="M12 17h.01"/>';
+
+// Connected icons, re-rendered when the icon they show gets registered
+const instances = new Set();
+
+// URLs to look for unknown icons in, their loading promises and which are done
+const sources = [];
+const loadedSources = new Map();
+const settledSources = new Set();
+
+// Names that were already reported missing
+const warned = new Set();
+
 /**
  * LucideIcon web component
  * @element lucide-icon
  * @attr {string} name - Icon name
- * @attr {string} size - Icon size: 'small', 'default', 'large'
+ * @attr {string} size - Icon size: 'small', 'default', 'large', or a length such as `20` (px) or `1.5em`
  * @attr {string} variant - Icon variant: 'primary', 'success', 'error', 'info', 'warning', 'muted'
  * @attr {string} color - Custom icon color
+ * @attr {string} label - Accessible name, without one the icon is hidden from screen readers
+ * @attr {number} stroke-width - Stroke width, default 2
+ * @attr {number} rotate - Rotation in degrees
+ * @attr {string} flip - Mirror the icon: 'horizontal', 'vertical' or 'both'
+ * @attr {boolean} spin - Spin continuously, e.g. as a loading indicator
+ * @attr {boolean} pulse - Fade in and out
  */
 export class LucideIcon extends HTMLElement {
+  /**
+   * Register an icon, replacing one with the same name
+   * @param {string} name - The icon name
+   * @param {string} svgBody - The contents of the svg, without the <svg> tag
+   */
+  static register(name, svgBody) {
+    icons[name] = svgBody;
+    instances.forEach((icon) => {
+      if (icon.getAttribute("name") === name) {
+        icon.render();
+      }
+    });
+  }
+
+  /**
+   * Register several icons at once
+   * @param {Object<string, string>} map - Icon name to svg contents
+   */
+  static registerSet(map) {
+    Object.entries(map).forEach(([name, svgBody]) => {
+      LucideIcon.register(name, svgBody);
+    });
+  }
+
+  /**
+   * Check whether an icon is registered
+   * @param {string} name - The icon name
+   * @returns {boolean}
+   */
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(icons, name);
+  }
+
+  /**
+   * Look for unknown icons in an icon set, loaded the first time it is needed
+   * Either a JSON map of name to svg contents, or an SVG sprite of
+   * `<symbol id="name">` elements. Sources are tried in the order added.
+   * @param {string} url - URL of the JSON file or sprite
+   */
+  static addSource(url) {
+    if (!sources.includes(url)) {
+      sources.push(url);
+    }
+  }
+
+  /**
+   * Load every icon source that has not been loaded yet
+   * Each URL is only fetched once.
+   * @returns {Promise<void>}
+   */
+  static loadSources() {
+    return Promise.all(
+      sources.map((url) => {
+        if (!loadedSources.has(url)) {
+          loadedSources.set(url, LucideIcon._loadSource(url));
+        }
+        return loadedSources.get(url);
+      }),
+    ).then(() => undefined);
+  }
+
+  /**
+   * Fetch an icon source and register its icons
+   * @private
+   */
+  static async _loadSource(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const contentType = response.headers.get("Content-Type") || "";
+      if (contentType.includes("json") || /\.json(\?|#|$)/.test(url)) {
+        LucideIcon.registerSet(await response.json());
+        return;
+      }
+
+      const sprite = new DOMParser().parseFromString(
+        await response.text(),
+        "image/svg+xml",
+      );
+      sprite.querySelectorAll("symbol[id]").forEach((symbol) => {
+        LucideIcon.register(symbol.id, symbol.innerHTML);
+      });
+    } catch (error) {
+      console.warn(`Could not load icons from "${url}":`, error);
+    } finally {
+      settledSources.add(url);
+    }
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: "open" });
@@ -48,13 +172,28 @@ export class LucideIcon extends HTMLElement {
   }
 
   static get observedAttributes() {
-    return ["name", "size", "variant", "color"];
+    return [
+      "name",
+      "size",
+      "variant",
+      "color",
+      "label",
+      "stroke-width",
+      "rotate",
+      "flip",
+    ];
   }
 
   connectedCallback() {
+    syncStyles(this.shadowRoot);
+    instances.add(this);
     this.render();
   }
 
+  disconnectedCallback() {
+    instances.delete(this);
+  }
+
   attributeChangedCallback(name, oldValue, newValue) {
     if (oldValue !== newValue) {
       this.render();
@@ -64,7 +203,7 @@ export class LucideIcon extends HTMLElement {
   render() {
     const name = this.getAttribute("name");
     const color = this.getAttribute("color");
-    const iconPath = icons[name] || "";
+    const iconPath = name ? this._iconFor(name) : "";
 
     // Update SVG content with the selected icon
     if (this.svgElement) {
@@ -76,6 +215,107 @@ export class LucideIcon extends HTMLElement {
       } else {
         this.svgElement.style.color = "";
       }
+
+      this.svgElement.setAttribute(
+        "stroke-width",
+        this.getAttribute("stroke-width") || "2",
+      );
+      this.svgElement.style.transform = this._transform();
+    }
+
+    this._updateSize();
+    this._updateLabel();
+  }
+
+  /**
+   * Size keywords are styled in CSS, any other size sets the dimensions
+   * @private
+   */
+  _updateSize() {
+    const size = (this.getAttribute("size") || "").trim();
+    let length = "";
+    if (/^\d+(\.\d+)?$/.test(size)) {
+      length = `${size}px`;
+    } else if (size && !["small", "default", "large"].includes(size)) {
+      length = size;
+    }
+
+    // Leave inline sizes alone unless this attribute set them
+    if (length || this._sized) {
+      this.style.width = length;
+      this.style.height = length;
+      this._sized = Boolean(length);
+    }
+  }
+
+  /**
+   * Name labelled icons as images and hide decorative ones
+   * @private
+   */
+  _updateLabel() {
+    const label = this.getAttribute("label");
+    if (label) {
+      this.setAttribute("role", "img");
+      this.setAttribute("aria-label", label);
+      this.removeAttribute("aria-hidden");
+    } else {
+      this.removeAttribute("role");
+      this.removeAttribute("aria-label");
+      this.setAttribute("aria-hidden", "true");
+    }
+  }
+
+  /**
+   * The CSS transform for the rotate and flip attributes
+   * @private
+   */
+  _transform() {
+    const transforms = [];
+    const rotate = parseFloat(this.getAttribute("rotate"));
+    if (!Number.isNaN(rotate) && rotate !== 0) {
+      transforms.push(`rotate(${rotate}deg)`);
+    }
+
+    const flip = this.getAttribute("flip");
+    if (flip === "horizontal") {
+      transforms.push("scaleX(-1)");
+    } else if (flip === "vertical") {
+      transforms.push("scaleY(-1)");
+    } else if (flip === "both") {
+      transforms.push("scale(-1, -1)");
+    }
+
+    return transforms.join(" ");
+  }
+
+  /**
+   * The svg contents for a name, looking it up in the sources if needed
+   * Returns nothing while sources load, then the fallback if still missing.
+   * @private
+   */
+  _iconFor(name) {
+    this.removeAttribute("data-missing");
+    if (LucideIcon.has(name)) {
+      return icons[name];
+    }
+
+    const pending = sources.some((url) => !settledSources.has(url));
+    if (pending) {
+      LucideIcon.loadSources().then(() => {
+        if (this.getAttribute("name") === name && !LucideIcon.has(name)) {
+          this.render();
+        }
+      });
+      return "";
+    }
+
+    if (!warned.has(name)) {
+      warned.add(name);
+      console.warn(
+        `Unknown icon "${name}", register it with LucideIcon.register.`,
+      );
     }
+    this.setAttribute("data-missing", "");
+    return fallbackIcon;
   }
 }
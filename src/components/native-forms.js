@@ -0,0 +1,274 @@
+import {
+  FormErrorHandler,
+  GRAPHQL_ACCEPT,
+  GraphQLToastHandler,
+  RequestIndicator,
+  swapHtml,
+} from "./forms.js";
+import { showToast } from "./toast/toast.js";
+import { GraphQLNetworkError } from "../graphql-client.js";
+import {
+  IncrementalResult,
+  isMultipartMixed,
+  readMultipartMixed,
+} from "../incremental.js";
+
+// Forms handled by HTMX are left alone
+const HTMX_REQUEST_ATTRIBUTES = ["hx-get", "hx-post", "hx-put", "hx-patch"];
+
+// Only one document listener is needed
+let registered = false;
+
+// Progressive enhancement of GraphQL forms without HTMX
+export class NativeFormHandler {
+  /**
+   * Intercept submits of `form[data-graphql]` and send them with fetch
+   * The request is the same one the browser would make, so the server can
+   * answer a plain form post as well. Without JavaScript, or when setting up
+   * the request fails, the form simply posts as usual.
+   *
+   * Forms can set `data-graphql-target` (selector for `extensions.html`,
+   * defaults to a `[data-graphql-result]` element after the form) and `data-graphql-swap` (as `hx-swap`). HTML
+   * fragments are swapped in the same way, error responses and whole
+   * documents show an error toast instead.
+   */
+  static register() {
+    if (registered || typeof fetch === "undefined") {
+      return;
+    }
+    registered = true;
+
+    document.addEventListener("submit", (e) => {
+      const form = e.target;
+      if (
+        e.defaultPrevented ||
+        !form.matches ||
+        !form.matches("form[data-graphql]") ||
+        HTMX_REQUEST_ATTRIBUTES.some((name) => form.hasAttribute(name))
+      ) {
+        return;
+      }
+
+      // Ignore repeat submits while a request is in flight
+      if (RequestIndicator.isBusy(form)) {
+        e.preventDefault();
+        return;
+      }
+
+      let request;
+      try {
+        request = NativeFormHandler.buildRequest(form, e.submitter);
+      } catch (error) {
+        // Let the browser post the form instead
+        console.error("Could not enhance GraphQL form, posting it:", error);
+        return;
+      }
+
+      e.preventDefault();
+      NativeFormHandler.submit(form, request, e.submitter);
+    });
+  }
+
+  /**
+   * Build the fetch request a native submit of the form would make
+   * @param {HTMLFormElement} form - The form being submitted
+   * @param {HTMLElement} [submitter] - The button that submitted it
+   * @returns {{url: string, init: RequestInit}} The request
+   */
+  static buildRequest(form, submitter = null) {
+    const method = (
+      (submitter && submitter.getAttribute("formmethod")) ||
+      form.method ||
+      "get"
+    ).toUpperCase();
+    const url = new URL(
+      (submitter && submitter.getAttribute("formaction")) || form.action,
+      document.baseURI,
+    );
+
+    const formData = new FormData(form);
+    if (submitter && submitter.name) {
+      formData.append(submitter.name, submitter.value);
+    }
+
+    // Forward URL params as the HTMX extension does, form values win
+    const forwarded = GraphQLToastHandler.forwardedParams(form);
+    Object.entries(forwarded).forEach(([key, value]) => {
+      if (!formData.has(key)) {
+        formData.append(key, value);
+      }
+    });
+
+    const init = {
+      method,
+      headers: { Accept: GRAPHQL_ACCEPT },
+      credentials: "same-origin",
+    };
+
+    if (method === "GET") {
+      url.search = new URLSearchParams(formData).toString();
+    } else if (form.enctype === "multipart/form-data") {
+      init.body = formData;
+    } else {
+      init.body = new URLSearchParams(formData);
+    }
+
+    return { url: url.href, init };
+  }
+
+  /**
+   * Send an enhanced form and handle the GraphQL response
+   * @param {HTMLFormElement} form - The form being submitted
+   * @param {{url: string, init: RequestInit}} request - From `buildRequest`
+   * @param {HTMLElement} [submitter] - The button that submitted it
+   * @returns {Promise<Object|null>} The GraphQL response, or null
+   */
+  static async submit(form, request, submitter = null) {
+    try {
+      FormErrorHandler.clearErrors(form);
+      RequestIndicator.start(form, submitter);
+
+      const res = await fetch(request.url, request.init);
+      const contentType = res.headers.get("Content-Type") || "";
+
+      if (isMultipartMixed(contentType)) {
+        return await NativeFormHandler._handleIncremental(form, res);
+      }
+
+      if (contentType.includes("json")) {
+        const response = await res.json();
+        if (response && (response.data !== undefined || response.errors)) {
+          NativeFormHandler.handleResponse(form, response);
+          return response;
+        }
+      }
+
+      // Not GraphQL, follow a redirect or swap the page like HTMX would
+      if (res.redirected) {
+        window.location.assign(res.url);
+        return null;
+      }
+
+      // Error pages and whole documents do not belong inside the form
+      if (!res.ok) {
+        throw new GraphQLNetworkError(
+          `Unexpected ${res.status} response from ${request.url}`,
+          { status: res.status },
+        );
+      }
+      const text = await res.text();
+      if (NativeFormHandler._isDocument(text)) {
+        throw new GraphQLNetworkError(
+          `Unexpected HTML document from ${request.url}`,
+          { status: res.status },
+        );
+      }
+
+      NativeFormHandler._swap(form, text);
+      return null;
+    } catch (error) {
+      console.error("GraphQL form request failed:", error);
+      showToast({
+        type: "error",
+        message: "The request failed. Please try again.",
+      });
+      form.dispatchEvent(
+        new CustomEvent("graphql:error", { bubbles: true, detail: { error } }),
+      );
+      return null;
+    } finally {
+      RequestIndicator.end(form);
+    }
+  }
+
+  /**
+   * Handle a GraphQL response the way the HTMX extension does
+   * @param {HTMLFormElement} form - The form that was submitted
+   * @param {Object} response - The GraphQL response
+   */
+  static handleResponse(form, response) {
+    GraphQLToastHandler.handleResponse(response);
+    const redirected = GraphQLToastHandler.redirected(response);
+    if (!redirected) {
+      FormErrorHandler.handleErrors(response, form);
+    }
+
+    const navigating =
+      redirected ||
+      GraphQLToastHandler.handleExtensions(response.extensions, form);
+
+    if (!navigating && response.extensions && response.extensions.html) {
+      NativeFormHandler._swap(form, response.extensions.html);
+    }
+
+    form.dispatchEvent(
+      new CustomEvent("graphql:response", {
+        bubbles: true,
+        detail: { response },
+      }),
+    );
+  }
+
+  /**
+   * Handle an incremental response part by part
+   * @private
+   */
+  static async _handleIncremental(form, res) {
+    let result = null;
+
+    for await (const payload of readMultipartMixed(res)) {
+      if (result) {
+        if (GraphQLToastHandler.handleIncremental(result.apply(payload))) {
+          break;
+        }
+      } else {
+        result = new IncrementalResult(payload);
+        NativeFormHandler.handleResponse(form, payload);
+        if (GraphQLToastHandler.redirected(payload)) {
+          break;
+        }
+      }
+    }
+
+    return result && result.response;
+  }
+
+  /**
+   * Check whether HTML is a full document rather than a fragment
+   * @private
+   */
+  static _isDocument(html) {
+    return /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype|html[\s>])/i.test(html);
+  }
+
+  /**
+   * Find or add the default swap target after the form, so the form is kept
+   * @private
+   */
+  static _resultContainer(form) {
+    const next = form.nextElementSibling;
+    if (next && next.matches("[data-graphql-result]")) {
+      return next;
+    }
+    const container = document.createElement("div");
+    container.setAttribute("data-graphql-result", "");
+    form.after(container);
+    return container;
+  }
+
+  /**
+   * Swap HTML into the form's target
+   * @private
+   */
+  static _swap(form, html) {
+    const selector = form.getAttribute("data-graphql-target");
+    const target = selector
+      ? document.querySelector(selector)
+      : NativeFormHandler._resultContainer(form);
+    swapHtml(
+      target,
+      html,
+      form.getAttribute("data-graphql-swap") || "innerHTML",
+    );
+  }
+}
@@ -0,0 +1,307 @@
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
+import centerTemplate from "./notification-center.html";
+import centerStyles from "./notification-center.css";
+
+// Ids for entries recorded during this page load
+let nextId = 0;
+
+/**
+ * Keeps a history of the toasts shown through `showToast`, so missed
+ * messages can be read later
+ * @element notification-center
+ * @attr {string} storage - Set to `local` to keep the history in localStorage
+ * @attr {string} storage-key - localStorage key, default `cannula:notifications`
+ * @attr {number} max - How many entries are kept, oldest go first, default 50
+ * @fires notification-center:change - When entries are added, read or cleared
+ */
+export class NotificationCenter extends HTMLElement {
+  constructor() {
+    super();
+
+    // Create shadow DOM
+    this.attachShadow({ mode: "open" });
+
+    // Apply styles
+    applyStyles(this.shadowRoot, centerStyles, document.adoptedStyleSheets);
+    loadTemplate(centerTemplate, this.shadowRoot);
+
+    // Initialize properties
+    this._entries = [];
+
+    // Get required elements
+    this.triggerButton = this.shadowRoot.querySelector(".trigger");
+    this.badgeElement = this.shadowRoot.querySelector(".badge");
+    this.panelElement = this.shadowRoot.querySelector(".panel");
+    this.listElement = this.shadowRoot.querySelector(".entries");
+    this.emptyElement = this.shadowRoot.querySelector(".empty");
+
+    this.triggerButton.addEventListener("click", () => this.toggle());
+    this.shadowRoot
+      .querySelector(".mark-all")
+      .addEventListener("click", () => this.markAllRead());
+    this.shadowRoot
+      .querySelector(".clear")
+      .addEventListener("click", () => this.clear());
+    this.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.open) {
+        e.preventDefault();
+        this.toggle(false);
+        this.triggerButton.focus();
+      }
+    });
+
+    this._onNotify = this._onNotify.bind(this);
+  }
+
+  /**
+   * Web component lifecycle: Component added to DOM
+   */
+  connectedCallback() {
+    syncStyles(this.shadowRoot);
+    this._entries = this._load();
+    this._render();
+    document.addEventListener("toast:notify", this._onNotify);
+  }
+
+  /**
+   * Web component lifecycle: Component removed from DOM
+   */
+  disconnectedCallback() {
+    document.removeEventListener("toast:notify", this._onNotify);
+  }
+
+  /**
+   * Entries getter, newest first
+   * @returns {Array<{id: string, type: string, title: string, message: string, time: string, read: boolean}>}
+   */
+  get entries() {
+    return this._entries.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * How many entries are unread
+   * @returns {number}
+   */
+  get unreadCount() {
+    return this._entries.filter((entry) => !entry.read).length;
+  }
+
+  /**
+   * Max getter
+   */
+  get max() {
+    const max = parseInt(this.getAttribute("max"), 10);
+    return Number.isNaN(max) ? 50 : max;
+  }
+
+  /**
+   * Max setter
+   */
+  set max(value) {
+    this.setAttribute("max", String(value));
+  }
+
+  /**
+   * Whether the history panel is open
+   * @returns {boolean}
+   */
+  get open() {
+    return !this.panelElement.hidden;
+  }
+
+  /**
+   * Open or close the history panel
+   * @param {boolean} [force] - Open when true, close when false
+   */
+  toggle(force = !this.open) {
+    this.panelElement.hidden = !force;
+    this.triggerButton.setAttribute("aria-expanded", String(force));
+  }
+
+  /**
+   * Record a notification
+   * @param {{type?: string, title?: string, message?: string}} notification
+   * @returns {Object} The new entry
+   */
+  add({ type = "info", title = "", message = "" }) {
+    nextId += 1;
+    const entry = {
+      id: `${Date.now()}-${nextId}`,
+      type,
+      title,
+      message,
+      time: new Date().toISOString(),
+      read: false,
+    };
+
+    this._entries = [entry, ...this._entries].slice(0, this.max);
+    this._changed();
+    return { ...entry };
+  }
+
+  /**
+   * Mark an entry as read
+   * @param {string} id - The entry id
+   */
+  markRead(id) {
+    const entry = this._entries.find((item) => item.id === id);
+    if (entry && !entry.read) {
+      entry.read = true;
+      this._changed();
+    }
+  }
+
+  /**
+   * Mark every entry as read
+   */
+  markAllRead() {
+    if (this.unreadCount > 0) {
+      this._entries.forEach((entry) => {
+        entry.read = true;
+      });
+      this._changed();
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this._entries = [];
+    this._changed();
+  }
+
+  /**
+   * Record toasts as they are shown
+   * @private
+   */
+  _onNotify(e) {
+    this.add(e.detail);
+  }
+
+  /**
+   * Save, render and announce a change
+   * @private
+   */
+  _changed() {
+    this._save();
+    this._render();
+    this.dispatchEvent(
+      new CustomEvent("notification-center:change", {
+        bubbles: true,
+        detail: { entries: this.entries, unread: this.unreadCount },
+      }),
+    );
+  }
+
+  /**
+   * The localStorage key, or null when history is not persisted
+   * @private
+   */
+  _storageKey() {
+    if (this.getAttribute("storage") !== "local") {
+      return null;
+    }
+    return this.getAttribute("storage-key") || "cannula:notifications";
+  }
+
+  /**
+   * Load persisted entries
+   * @private
+   */
+  _load() {
+    const key = this._storageKey();
+    if (!key) {
+      return this._entries;
+    }
+
+    try {
+      const entries = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(entries) ? entries.slice(0, this.max) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist entries
+   * @private
+   */
+  _save() {
+    const key = this._storageKey();
+    if (!key) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(key, JSON.stringify(this._entries));
+    } catch (e) {
+      console.warn("Could not save notifications:", e);
+    }
+  }
+
+  /**
+   * Render the badge and the list of entries
+   * @private
+   */
+  _render() {
+    const unread = this.unreadCount;
+    this.badgeElement.hidden = unread === 0;
+    this.badgeElement.textContent = unread > 99 ? "99+" : String(unread);
+    this.triggerButton.setAttribute(
+      "aria-label",
+      unread > 0 ? `Notifications, ${unread} unread` : "Notifications",
+    );
+
+    this.emptyElement.hidden = this._entries.length > 0;
+    this.listElement.replaceChildren(
+      ...this._entries.map((entry) => this._renderEntry(entry)),
+    );
+  }
+
+  /**
+   * Render one entry, all text is set as text
+   * @private
+   */
+  _renderEntry(entry) {
+    const item = document.createElement("li");
+    item.className = `entry entry-${entry.type}`;
+    item.classList.toggle("read", entry.read);
+
+    const icon = document.createElement("lucide-icon");
+    icon.setAttribute("name", entry.type);
+    icon.setAttribute("variant", entry.type);
+    icon.setAttribute("size", "small");
+
+    const body = document.createElement("div");
+    body.className = "entry-body";
+    if (entry.title) {
+      const title = document.createElement("strong");
+      title.textContent = entry.title;
+      body.appendChild(title);
+    }
+    const message = document.createElement("span");
+    message.textContent = entry.message;
+    const time = document.createElement("time");
+    time.className = "entry-time";
+    time.dateTime = entry.time;
+    time.textContent = new Date(entry.time).toLocaleTimeString();
+    body.append(message, time);
+
+    item.append(icon, body);
+
+    if (!entry.read) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = "Mark read";
+      button.addEventListener("click", () => this.markRead(entry.id));
+      item.appendChild(button);
+    }
+
+    return item;
+  }
+}
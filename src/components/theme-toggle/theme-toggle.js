@@ -1,62 +1,207 @@
-import { applyStyles, loadTemplate } from "../../template-loader.js";
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
 import toggleTemplate from "./theme-toggle.html";
 import toggleStyles from "./theme-toggle.css";
 
+// localStorage key for the chosen mode, absent when following the system
+const STORAGE_KEY = "theme";
+
+// The order a click cycles through
+const MODES = ["system", "light", "dark"];
+
+// Labels for the button, by mode
+const MODE_LABELS = { system: "System", light: "Light", dark: "Dark" };
+
+// Page wide listeners shared by every connected toggle
+let connectedToggles = 0;
+let darkQuery = null;
+
+/**
+ * Switches between light, dark and the system color scheme
+ * Every toggle on the page, and in other tabs, shows the same mode.
+ * @element theme-toggle
+ * @attr {string} mode - Reflects the current mode: 'light', 'dark' or 'system'
+ * @fires theme-change - On the document when the mode changes, with
+ *   `{mode, theme}` where theme is the applied 'light' or 'dark'
+ */
 export class ThemeToggle extends HTMLElement {
+  /**
+   * The chosen mode
+   * @returns {string} 'light', 'dark' or 'system'
+   */
+  static get mode() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved === "light" || saved === "dark" ? saved : "system";
+  }
+
+  /**
+   * The theme in effect, resolving 'system' to the color scheme
+   * @returns {string} 'light' or 'dark'
+   */
+  static get theme() {
+    const mode = ThemeToggle.mode;
+    if (mode !== "system") {
+      return mode;
+    }
+    return window.matchMedia("(prefers-color-scheme: dark)").matches
+      ? "dark"
+      : "light";
+  }
+
+  /**
+   * Choose a mode, save it and apply it
+   * @param {string} mode - 'light', 'dark' or 'system'
+   */
+  static setMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown theme mode "${mode}".`);
+    }
+
+    if (mode === "system") {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, mode);
+    }
+    ThemeToggle.applyTheme();
+  }
+
+  /**
+   * Set `data-theme` on the document and announce the change
+   */
+  static applyTheme() {
+    const theme = ThemeToggle.theme;
+    document.documentElement.setAttribute("data-theme", theme);
+    document.dispatchEvent(
+      new CustomEvent("theme-change", {
+        detail: { mode: ThemeToggle.mode, theme },
+      }),
+    );
+  }
+
+  /**
+   * Follow the system scheme while in system mode
+   * @private
+   */
+  static _onSchemeChange() {
+    if (ThemeToggle.mode === "system") {
+      ThemeToggle.applyTheme();
+    }
+  }
+
+  /**
+   * Pick up a mode chosen in another tab
+   * @private
+   */
+  static _onStorage(e) {
+    if (e.key === STORAGE_KEY || e.key === null) {
+      ThemeToggle.applyTheme();
+    }
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: "open" });
     // Apply styles
     applyStyles(this.shadowRoot, toggleStyles, document.adoptedStyleSheets);
     loadTemplate(toggleTemplate, this.shadowRoot);
+
+    this.button = this.shadowRoot.querySelector(".toggle");
+    this._onClick = this._onClick.bind(this);
+    this._onThemeChange = this._onThemeChange.bind(this);
+
     this.initializeTheme();
   }
 
+  /**
+   * Apply the saved mode, following the system when there is none
+   */
   initializeTheme() {
-    // Check localStorage first
-    const savedTheme = localStorage.getItem("theme");
+    document.documentElement.setAttribute("data-theme", ThemeToggle.theme);
+  }
 
-    if (savedTheme) {
-      document.documentElement.setAttribute("data-theme", savedTheme);
-    } else {
-      // If no saved preference, check system preference
-      const prefersDark = window.matchMedia(
-        "(prefers-color-scheme: dark)",
-      ).matches;
-      document.documentElement.setAttribute(
-        "data-theme",
-        prefersDark ? "dark" : "light",
-      );
-      localStorage.setItem("theme", prefersDark ? "dark" : "light");
+  connectedCallback() {
+    syncStyles(this.shadowRoot);
+    this.button.addEventListener("click", this._onClick);
+    document.addEventListener("theme-change", this._onThemeChange);
+
+    // The first toggle installs the page wide listeners
+    if (connectedToggles === 0) {
+      darkQuery = window.matchMedia("(prefers-color-scheme: dark)");
+      darkQuery.addEventListener("change", ThemeToggle._onSchemeChange);
+      window.addEventListener("storage", ThemeToggle._onStorage);
+    }
+    connectedToggles += 1;
+
+    this._render();
+  }
+
+  disconnectedCallback() {
+    this.button.removeEventListener("click", this._onClick);
+    document.removeEventListener("theme-change", this._onThemeChange);
+
+    // The last toggle removes them again
+    connectedToggles -= 1;
+    if (connectedToggles === 0) {
+      darkQuery.removeEventListener("change", ThemeToggle._onSchemeChange);
+      window.removeEventListener("storage", ThemeToggle._onStorage);
+      darkQuery = null;
     }
+  }
 
-    // Listen for system theme changes
-    window
-      .matchMedia("(prefers-color-scheme: dark)")
-      .addEventListener("change", (e) => {
-        if (!localStorage.getItem("theme")) {
-          const newTheme = e.matches ? "dark" : "light";
-          document.documentElement.setAttribute("data-theme", newTheme);
-        }
-      });
+  /**
+   * Mode getter
+   */
+  get mode() {
+    return ThemeToggle.mode;
   }
 
-  setupListeners() {
-    const toggle = this.shadowRoot.querySelector(".toggle");
-    toggle.addEventListener("click", () => {
-      const isDark =
-        document.documentElement.getAttribute("data-theme") === "dark";
-      document.documentElement.setAttribute(
-        "data-theme",
-        isDark ? "light" : "dark",
-      );
+  /**
+   * Mode setter
+   */
+  set mode(value) {
+    ThemeToggle.setMode(value);
+  }
 
-      // Optionally save preference
-      localStorage.setItem("theme", isDark ? "light" : "dark");
-    });
+  /**
+   * Move on to the next mode
+   * @private
+   */
+  _onClick() {
+    const next = MODES[(MODES.indexOf(ThemeToggle.mode) + 1) % MODES.length];
+    ThemeToggle.setMode(next);
   }
 
-  connectedCallback() {
-    this.setupListeners();
+  /**
+   * Keep this toggle in step with the others
+   * @private
+   */
+  _onThemeChange() {
+    this._render();
+  }
+
+  /**
+   * Show the mode's icon and describe it to assistive technology
+   * Pressed means dark, mixed means following the system.
+   * @private
+   */
+  _render() {
+    const mode = ThemeToggle.mode;
+    const theme = ThemeToggle.theme;
+    this.setAttribute("mode", mode);
+
+    this.button.setAttribute(
+      "aria-pressed",
+      mode === "system" ? "mixed" : String(mode === "dark"),
+    );
+    const current =
+      mode === "system" ? `System (${MODE_LABELS[theme]})` : MODE_LABELS[mode];
+    const next = MODE_LABELS[MODES[(MODES.indexOf(mode) + 1) % MODES.length]];
+    this.button.setAttribute(
+      "aria-label",
+      `Theme: ${current}. Switch to ${next}`,
+    );
   }
 }
@@ -0,0 +1,347 @@
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
+import regionTemplate from "./toast-region.html";
+import regionStyles from "./toast-region.css";
+
+// When each toast was last shown by a region, to find the newest one
+const shownOrder = new WeakMap();
+let shownCount = 0;
+
+// The Escape listener is shared by every connected region
+let connectedRegions = 0;
+
+/**
+ * Stacks toasts in one corner or edge of the screen
+ * Only `max` toasts are visible at once, the rest wait in a queue. A toast
+ * with the same type and message as one already showing is not added again,
+ * the existing toast counts the repeat instead. Escape dismisses the newest
+ * visible toast while focus is inside a toast region, other Escape handlers
+ * on the page are left alone.
+ * @element toast-region
+ * @attr {string} position - One of `top-left`, `top-center`, `top-right`,
+ *   `bottom-left`, `bottom-center` or `bottom-right` (default)
+ * @attr {number} max - How many toasts are visible at once, default 5
+ */
+export class ToastRegion extends HTMLElement {
+  /**
+   * Where toasts go when no position is given
+   * @type {string}
+   */
+  static defaultPosition = "bottom-right";
+
+  /**
+   * How many toasts a region shows at once unless it sets `max`
+   * @type {number}
+   */
+  static defaultMax = 5;
+
+  /**
+   * The supported positions
+   * @type {string[]}
+   */
+  static positions = [
+    "top-left",
+    "top-center",
+    "top-right",
+    "bottom-left",
+    "bottom-center",
+    "bottom-right",
+  ];
+
+  /**
+   * Get the region for a position, adding it to the page if needed
+   * @param {string} [position=ToastRegion.defaultPosition] - The position
+   * @returns {ToastRegion} The region
+   */
+  static for(position = ToastRegion.defaultPosition) {
+    if (!ToastRegion.positions.includes(position)) {
+      console.warn(`Unknown toast position "${position}".`);
+      position = ToastRegion.defaultPosition;
+    }
+
+    // Toasts can be used before initialize() registered the components
+    if (!customElements.get("toast-region")) {
+      customElements.define("toast-region", ToastRegion);
+    }
+
+    let region = document.querySelector(`toast-region[position="${position}"]`);
+    if (!region && position === ToastRegion.defaultPosition) {
+      region = document.querySelector("toast-region:not([position])");
+    }
+    if (!region) {
+      region = document.createElement("toast-region");
+      region.setAttribute("position", position);
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  /**
+   * The most recently shown toast that is still visible, in any region
+   * @returns {HTMLElement|null}
+   */
+  static newestToast() {
+    let newest = null;
+    document.querySelectorAll("toast-region").forEach((region) => {
+      region.visibleToasts.forEach((toast) => {
+        if (
+          !newest ||
+          (shownOrder.get(toast) || 0) > (shownOrder.get(newest) || 0)
+        ) {
+          newest = toast;
+        }
+      });
+    });
+    return newest;
+  }
+
+  /**
+   * Dismiss the newest toast on Escape from inside a region
+   * @private
+   */
+  static _onKeydown(e) {
+    if (
+      e.key !== "Escape" ||
+      e.defaultPrevented ||
+      !(e.target.closest && e.target.closest("toast-region"))
+    ) {
+      return;
+    }
+
+    const toast = ToastRegion.newestToast();
+    if (toast) {
+      toast.hide();
+    }
+  }
+
+  constructor() {
+    super();
+
+    // Create shadow DOM
+    this.attachShadow({ mode: "open" });
+
+    // Apply styles
+    applyStyles(this.shadowRoot, regionStyles, document.adoptedStyleSheets);
+    loadTemplate(regionTemplate, this.shadowRoot);
+
+    // Toasts waiting for a free slot
+    this._queue = [];
+    this._onHidden = this._onHidden.bind(this);
+
+    // Toasts can also be taken out without hide(), free their slot too
+    this._observer = new MutationObserver((records) =>
+      this._onRemoved(records),
+    );
+  }
+
+  /**
+   * Web component lifecycle: Component added to DOM
+   */
+  connectedCallback() {
+    syncStyles(this.shadowRoot);
+
+    // The first region installs the Escape listener
+    if (connectedRegions === 0) {
+      document.addEventListener("keydown", ToastRegion._onKeydown);
+    }
+    connectedRegions += 1;
+
+    this._observer.observe(this, { childList: true });
+  }
+
+  /**
+   * Web component lifecycle: Component removed from DOM
+   */
+  disconnectedCallback() {
+    this._observer.disconnect();
+
+    // The last region removes it again
+    connectedRegions -= 1;
+    if (connectedRegions === 0) {
+      document.removeEventListener("keydown", ToastRegion._onKeydown);
+    }
+  }
+
+  /**
+   * Web component lifecycle: When attributes change
+   */
+  static get observedAttributes() {
+    return ["max"];
+  }
+
+  /**
+   * Web component lifecycle: Attribute changed
+   */
+  attributeChangedCallback(name) {
+    if (name === "max") {
+      this._showNext();
+    }
+  }
+
+  /**
+   * Position getter
+   */
+  get position() {
+    return this.getAttribute("position") || ToastRegion.defaultPosition;
+  }
+
+  /**
+   * Position setter
+   */
+  set position(value) {
+    this.setAttribute("position", value);
+  }
+
+  /**
+   * Max getter
+   */
+  get max() {
+    const max = parseInt(this.getAttribute("max"), 10);
+    return Number.isNaN(max) ? ToastRegion.defaultMax : max;
+  }
+
+  /**
+   * Max setter
+   */
+  set max(value) {
+    this.setAttribute("max", String(value));
+  }
+
+  /**
+   * The toasts currently visible in this region
+   * @returns {Array<HTMLElement>}
+   */
+  get visibleToasts() {
+    return Array.from(this.children).filter(
+      (child) => child.localName === "toast-element" && child.visible,
+    );
+  }
+
+  /**
+   * The toasts waiting for a free slot
+   * @returns {Array<HTMLElement>}
+   */
+  get queuedToasts() {
+    return this._queue.slice();
+  }
+
+  /**
+   * Show a toast here, or queue it when the region is full
+   * @param {HTMLElement} toast - The toast-element to add
+   * @returns {HTMLElement} The toast, or the matching toast that counted it
+   */
+  add(toast) {
+    const duplicate = this._duplicateOf(toast);
+    if (duplicate) {
+      duplicate.count += 1;
+      if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+      }
+      return duplicate;
+    }
+
+    toast.addEventListener("toast:hidden", this._onHidden);
+    if (this.visibleToasts.length < this.max) {
+      this._reveal(toast);
+    } else {
+      if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+      }
+      this._queue.push(toast);
+    }
+
+    return toast;
+  }
+
+  /**
+   * Find a showing or queued toast with the same type and message
+   * Toasts that track a task, offer actions or hold rich content stand on
+   * their own and never match.
+   * @private
+   */
+  _duplicateOf(toast) {
+    if (!ToastRegion._canMerge(toast)) {
+      return null;
+    }
+
+    const key = ToastRegion._keyFor(toast);
+    return (
+      [...this.visibleToasts, ...this._queue].find(
+        (other) =>
+          other !== toast &&
+          ToastRegion._canMerge(other) &&
+          ToastRegion._keyFor(other) === key,
+      ) || null
+    );
+  }
+
+  /**
+   * Whether a toast may be merged with an identical one
+   * @private
+   */
+  static _canMerge(toast) {
+    return (
+      toast.progress === null &&
+      toast.type !== "loading" &&
+      toast.children.length === 0 &&
+      !(toast.actions && toast.actions.length > 0)
+    );
+  }
+
+  /**
+   * What makes two toasts the same
+   * @private
+   */
+  static _keyFor(toast) {
+    return JSON.stringify([toast.type, toast.title, toast.message]);
+  }
+
+  /**
+   * Fill the slot a hidden toast left
+   * @private
+   */
+  _onHidden(e) {
+    e.target.removeEventListener("toast:hidden", this._onHidden);
+    this._showNext();
+  }
+
+  /**
+   * Fill the slots of toasts removed from the region
+   * @private
+   */
+  _onRemoved(records) {
+    const toasts = records
+      .flatMap((record) => Array.from(record.removedNodes))
+      .filter((node) => node.localName === "toast-element");
+    if (toasts.length > 0) {
+      toasts.forEach((toast) =>
+        toast.removeEventListener("toast:hidden", this._onHidden),
+      );
+      this._showNext();
+    }
+  }
+
+  /**
+   * Show queued toasts while there is room
+   * @private
+   */
+  _showNext() {
+    while (this._queue.length > 0 && this.visibleToasts.length < this.max) {
+      this._reveal(this._queue.shift());
+    }
+  }
+
+  /**
+   * Show a toast in this region
+   * @private
+   */
+  _reveal(toast) {
+    this.appendChild(toast);
+    shownCount += 1;
+    shownOrder.set(toast, shownCount);
+    toast.show();
+  }
+}
@@ -1,16 +1,42 @@
-import { applyStyles, loadTemplate } from "../../template-loader.js";
+import {
+  applyStyles,
+  loadTemplate,
+  syncStyles,
+} from "../../template-loader.js";
+import { ToastRegion } from "../toast-region/toast-region.js";
 import toastTemplate from "./toast.html";
 import toastStyles from "./toast.css";
 
 /**
  * Toast notification component
  * @element toast-element
- * @attr {string} type - Toast type: 'success', 'error', 'info', 'warning'
+ * @attr {string} type - Toast type: 'success', 'error', 'info', 'warning', 'loading'
+ * @attr {string} title - Toast title text, shown in bold above the message
  * @attr {string} message - Toast message text
  * @attr {number} duration - Display duration in milliseconds
  * @attr {boolean} auto-hide - Whether to automatically hide the toast
+ * @attr {number} progress - Progress (0-100) shown as a bar, omit for none
+ * @attr {number} count - How many times the same toast was shown, when above 1
+ * @attr {string} live - Announce as 'polite', 'assertive' or 'off', defaults by type
+ * @slot title - Rich title content, replaces the `title` text
+ * @slot description - Rich message content, replaces the `message` text
+ * @slot - Extra content below the message, such as links or small components
+ * @fires toast:action - When an action button is clicked, with `{action}`
  */
 export class ToastElement extends HTMLElement {
+  /**
+   * How urgently each toast type is announced to screen readers
+   * Assertive toasts interrupt the user, so only errors do by default.
+   * @type {Object<string, string>}
+   */
+  static politeness = {
+    error: "assertive",
+    warning: "polite",
+    success: "polite",
+    info: "polite",
+    loading: "polite",
+  };
+
   constructor() {
     super();
 
@@ -26,28 +52,74 @@ export class ToastElement extends HTMLElement {
     this._autoHide = true;
     this._timerId = null;
     this._type = "toast-info";
+    this._actions = [];
+    this._remaining = 0;
+    this._pauses = new Set();
+    this._returnFocus = null;
 
     // Get required elements
+    this.titleElement = this.shadowRoot.querySelector(".title");
     this.messageElement = this.shadowRoot.querySelector(".message");
     this.closeButton = this.shadowRoot.querySelector(".close-btn");
     this.iconElement = this.shadowRoot.querySelector(".icon-type");
+    this.progressElement = this.shadowRoot.querySelector(".progress");
+    this.countElement = this.shadowRoot.querySelector(".count");
+    this.actionsElement = this.shadowRoot.querySelector(".actions");
 
     // Add event listener for close button
     this.closeButton.addEventListener("click", () => this.hide());
+
+    // Give the user time to read or act on the toast
+    this.addEventListener("mouseenter", () => this.pause("hover"));
+    this.addEventListener("mouseleave", () => this.resume("hover"));
+    this.addEventListener("focusin", (e) => {
+      if (!this._pauses.has("focus") && !this.contains(e.relatedTarget)) {
+        this._returnFocus = e.relatedTarget;
+      }
+      this.pause("focus");
+    });
+    this.addEventListener("focusout", (e) => {
+      if (!this.contains(e.relatedTarget)) {
+        this.resume("focus");
+      }
+    });
+    this.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        this.hide();
+      }
+    });
+
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
   }
 
   /**
    * Web component lifecycle: When attributes change
    */
   static get observedAttributes() {
-    return ["type", "message", "duration", "auto-hide"];
+    return [
+      "type",
+      "title",
+      "message",
+      "duration",
+      "auto-hide",
+      "progress",
+      "count",
+      "live",
+    ];
   }
 
   /**
    * Web component lifecycle: Component added to DOM
    */
   connectedCallback() {
+    syncStyles(this.shadowRoot);
+
     // Initialize from attributes if present
+    if (this.hasAttribute("title")) {
+      this._updateTitle(this.getAttribute("title"));
+    }
+
     if (this.hasAttribute("message")) {
       this.messageElement.textContent = this.getAttribute("message");
     }
@@ -68,21 +140,114 @@ export class ToastElement extends HTMLElement {
     if (this.hasAttribute("auto-hide")) {
       this._autoHide = this.getAttribute("auto-hide") !== "false";
     }
+
+    this._updateLive();
+    document.addEventListener("visibilitychange", this._onVisibilityChange);
+  }
+
+  /**
+   * Web component lifecycle: Component removed from DOM
+   */
+  disconnectedCallback() {
+    document.removeEventListener("visibilitychange", this._onVisibilityChange);
   }
 
   /**
    * Web component lifecycle: Attribute changed
    */
   attributeChangedCallback(name, oldValue, newValue) {
-    if (name === "message" && this.messageElement) {
-      this.messageElement.textContent = newValue;
+    if (name === "title") {
+      this._updateTitle(newValue);
+    } else if (name === "message" && this.messageElement) {
+      this.messageElement.textContent = newValue ?? "";
     } else if (name === "type" && newValue) {
       this.type = newValue;
     } else if (name === "duration" && newValue) {
       this._duration = parseInt(newValue, 10);
     } else if (name === "auto-hide") {
       this._autoHide = newValue !== "false";
+    } else if (name === "progress") {
+      this._updateProgress(newValue);
+    } else if (name === "count") {
+      this._updateCount();
+    } else if (name === "live") {
+      this._updateLive();
+    }
+  }
+
+  /**
+   * Show the title as text, never as HTML
+   * @private
+   */
+  _updateTitle(value) {
+    if (this.titleElement) {
+      this.titleElement.textContent = value ?? "";
+      this.titleElement.hidden = !value;
+    }
+  }
+
+  /**
+   * Announce the toast as a status message, or an alert when assertive
+   * @private
+   */
+  _updateLive() {
+    const live =
+      this.getAttribute("live") ||
+      ToastElement.politeness[this.type] ||
+      "polite";
+
+    this.setAttribute("role", live === "assertive" ? "alert" : "status");
+    this.setAttribute("aria-live", live);
+    this.setAttribute("aria-atomic", "true");
+  }
+
+  /**
+   * Stop the clock while the page is in the background
+   * @private
+   */
+  _onVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      this.pause("hidden");
+    } else {
+      this.resume("hidden");
+    }
+  }
+
+  /**
+   * Show the repeat counter, and give a repeated toast its full time again
+   * @private
+   */
+  _updateCount() {
+    if (!this.countElement) {
+      return;
+    }
+
+    const count = this.count;
+    this.countElement.hidden = count < 2;
+    this.countElement.textContent = count < 2 ? "" : `×${count}`;
+
+    if (this._visible) {
+      this._startTimer();
+    }
+  }
+
+  /**
+   * Show or hide the progress bar
+   * @private
+   */
+  _updateProgress(value) {
+    if (!this.progressElement) {
+      return;
+    }
+
+    if (value === null || value === undefined || value === "") {
+      this.progressElement.hidden = true;
+      this.progressElement.removeAttribute("value");
+      return;
     }
+
+    this.progressElement.hidden = false;
+    this.progressElement.value = Math.max(0, Math.min(100, Number(value)));
   }
 
   /**
@@ -92,9 +257,11 @@ export class ToastElement extends HTMLElement {
   _updateIcon(type) {
     if (this.iconElement) {
       // Map toast type to icon name
-      const iconName = type.replace("toast-", "") || "info";
+      const variant = type.replace("toast-", "") || "info";
+      const iconName = variant === "loading" ? "loader" : variant;
       this.iconElement.setAttribute("name", iconName);
-      this.iconElement.setAttribute("variant", iconName);
+      this.iconElement.setAttribute("variant", variant);
+      this.iconElement.toggleAttribute("spin", variant === "loading");
     }
   }
 
@@ -116,8 +283,27 @@ export class ToastElement extends HTMLElement {
     this._type = `toast-${value}`;
     this.classList.add(this._type);
 
-    // Update the icon when type changes
+    // Update the icon and announcement when type changes
     this._updateIcon(value);
+    this._updateLive();
+  }
+
+  /**
+   * Title getter
+   */
+  get title() {
+    return this.getAttribute("title") || "";
+  }
+
+  /**
+   * Title setter, kept in sync with the `title` attribute
+   */
+  set title(value) {
+    if (value === null || value === undefined || value === "") {
+      this.removeAttribute("title");
+    } else {
+      this.setAttribute("title", value);
+    }
   }
 
   /**
@@ -128,12 +314,24 @@ export class ToastElement extends HTMLElement {
   }
 
   /**
-   * Message setter
+   * Message setter, kept in sync with the `message` attribute
    */
   set message(value) {
-    if (this.messageElement) {
-      this.messageElement.textContent = value;
-    }
+    this.setAttribute("message", value ?? "");
+  }
+
+  /**
+   * Description getter, another name for the message
+   */
+  get description() {
+    return this.message;
+  }
+
+  /**
+   * Description setter
+   */
+  set description(value) {
+    this.message = value;
   }
 
   /**
@@ -164,31 +362,249 @@ export class ToastElement extends HTMLElement {
     this._autoHide = value;
   }
 
+  /**
+   * Progress getter
+   * @returns {number|null} Progress from 0 to 100, or null when there is no bar
+   */
+  get progress() {
+    return this.hasAttribute("progress")
+      ? Number(this.getAttribute("progress"))
+      : null;
+  }
+
+  /**
+   * Progress setter, null removes the bar
+   */
+  set progress(value) {
+    if (value === null || value === undefined) {
+      this.removeAttribute("progress");
+    } else {
+      this.setAttribute("progress", String(value));
+    }
+  }
+
+  /**
+   * Actions getter
+   * @returns {Array<{label: string, onClick?: Function, dismiss?: boolean}>}
+   */
+  get actions() {
+    return this._actions.slice();
+  }
+
+  /**
+   * Actions setter
+   * Each action is a button with a `label` and an `onClick(toast, event)`
+   * callback. The toast hides after the click unless `dismiss` is false.
+   */
+  set actions(value) {
+    this._actions = Array.isArray(value) ? value : [];
+    this._renderActions();
+  }
+
+  /**
+   * Render the action buttons
+   * @private
+   */
+  _renderActions() {
+    if (!this.actionsElement) {
+      return;
+    }
+
+    this.actionsElement.replaceChildren(
+      ...this._actions.map((action) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "action-btn";
+        button.textContent = action.label;
+        button.addEventListener("click", (e) => {
+          this.dispatchEvent(
+            new CustomEvent("toast:action", { detail: { action } }),
+          );
+          if (typeof action.onClick === "function") {
+            action.onClick(this, e);
+          }
+          if (action.dismiss !== false) {
+            this.hide();
+          }
+        });
+        return button;
+      }),
+    );
+    this.actionsElement.hidden = this._actions.length === 0;
+  }
+
+  /**
+   * Count getter
+   * @returns {number} How many times this toast was shown
+   */
+  get count() {
+    const count = parseInt(this.getAttribute("count"), 10);
+    return Number.isNaN(count) ? 1 : count;
+  }
+
+  /**
+   * Count setter
+   */
+  set count(value) {
+    this.setAttribute("count", String(value));
+  }
+
+  /**
+   * Whether the toast is showing
+   * @returns {boolean}
+   */
+  get visible() {
+    return Boolean(this._visible);
+  }
+
   /**
    * Show the toast notification
+   * Toasts outside a `toast-region` are moved into the default one, which
+   * may queue them until there is room.
    * @returns {ToastElement} This instance for chaining
    */
   show() {
     if (this._visible) return this;
 
+    if (!(this.parentNode instanceof ToastRegion)) {
+      ToastRegion.for().add(this);
+      return this;
+    }
+
     this._visible = true;
     this.classList.add("visible");
 
     // Dispatch shown event
     this.dispatchEvent(new CustomEvent("toast:shown"));
 
-    // Reposition all toasts
-    this._repositionAllToasts();
+    this._startTimer();
 
-    if (this._autoHide && this._duration > 0) {
-      this._timerId = setTimeout(() => {
-        this.hide();
-      }, this._duration);
+    return this;
+  }
+
+  /**
+   * Whether the auto-hide timer is paused
+   * @returns {boolean}
+   */
+  get paused() {
+    return this._pauses.size > 0;
+  }
+
+  /**
+   * Pause the auto-hide timer until every reason to pause is resumed
+   * @param {string} [reason="manual"] - Why, e.g. 'hover' or 'focus'
+   * @returns {ToastElement} This instance for chaining
+   */
+  pause(reason = "manual") {
+    this._pauses.add(reason);
+
+    if (this._timerId) {
+      clearTimeout(this._timerId);
+      this._timerId = null;
+      this._remaining -= Date.now() - this._timerStartedAt;
+    }
+
+    return this;
+  }
+
+  /**
+   * Resume the auto-hide timer with the time that was left
+   * @param {string} [reason="manual"] - The reason given to `pause`
+   * @returns {ToastElement} This instance for chaining
+   */
+  resume(reason = "manual") {
+    this._pauses.delete(reason);
+    if (this._visible && !this._timerId) {
+      this._runTimer();
     }
+    return this;
+  }
 
+  /**
+   * Change the toast in place, e.g. once the work it reports on is done
+   * The auto-hide timer starts over with the new duration.
+   * @param {Object} options - Any of `type`, `title`, `message`, `actions`,
+   *   `duration` and `autoHide`
+   * @returns {ToastElement} This instance for chaining
+   */
+  update(options) {
+    ["type", "title", "message", "actions", "duration", "autoHide"].forEach(
+      (key) => {
+        if (options[key] !== undefined) {
+          this[key] = options[key];
+        }
+      },
+    );
+
+    if (this._visible) {
+      this._startTimer();
+    }
     return this;
   }
 
+  /**
+   * Start (or restart) the auto-hide timer
+   * @private
+   */
+  _startTimer() {
+    if (this._timerId) {
+      clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+
+    this._remaining = this._duration;
+
+    // A toast shown in a background tab waits until the page is seen
+    if (document.visibilityState === "hidden") {
+      this._pauses.add("hidden");
+    }
+    this._runTimer();
+  }
+
+  /**
+   * Run the timer for the remaining time unless paused
+   * @private
+   */
+  _runTimer() {
+    if (!this._autoHide || this._remaining <= 0 || this.paused) {
+      return;
+    }
+
+    this._timerStartedAt = Date.now();
+    this._timerId = setTimeout(() => {
+      this._timerId = null;
+      this.hide();
+    }, this._remaining);
+  }
+
+  /**
+   * Move focus out of the toast before it goes away
+   * Back to where it was before entering the toast, or else to the next toast.
+   * @private
+   */
+  _releaseFocus() {
+    const focused =
+      this.shadowRoot.activeElement || this.contains(document.activeElement);
+    if (!focused) {
+      return;
+    }
+
+    const next = Array.from(
+      (this.parentNode && this.parentNode.children) || [],
+    ).find(
+      (toast) =>
+        toast !== this && toast.localName === "toast-element" && toast.visible,
+    );
+
+    if (this._returnFocus && this._returnFocus.isConnected) {
+      this._returnFocus.focus();
+    } else if (next) {
+      next.closeButton.focus();
+    } else {
+      (this.shadowRoot.activeElement || document.activeElement).blur();
+    }
+  }
+
   /**
    * Hide the toast notification
    * @returns {ToastElement} This instance for chaining
@@ -198,6 +614,7 @@ export class ToastElement extends HTMLElement {
 
     this._visible = false;
     this.classList.remove("visible");
+    this._releaseFocus();
 
     if (this._timerId) {
       clearTimeout(this._timerId);
@@ -213,67 +630,166 @@ export class ToastElement extends HTMLElement {
       if (this.parentNode) {
         this.parentNode.removeChild(this);
       }
-
-      // Reposition remaining toasts
-      this._repositionAllToasts();
     }, 300); // Match this delay with CSS transition time
 
     return this;
   }
-
-  /**
-   * Reposition all toasts to stack properly
-   * @private
-   */
-  _repositionAllToasts() {
-    const toasts = document.querySelectorAll("toast-element");
-    const spaceBetweenToasts = 10; // Margin between toasts in pixels
-    let cumulativeHeight = 0;
-
-    // Convert NodeList to Array and reverse to start from the bottom
-    // This way we process toasts from bottom to top
-    Array.from(toasts)
-      .reverse()
-      .forEach((toast) => {
-        // Position this toast above the previous ones
-        toast.style.bottom = `${20 + cumulativeHeight}px`;
-        toast.style.right = "20px";
-
-        // Add this toast's height to the cumulative height
-        cumulativeHeight += toast.scrollHeight + spaceBetweenToasts;
-      });
-  }
 }
 
-// Helper function
+/**
+ * Show a toast in a `toast-region`
+ * @param {Object} [options]
+ * @param {string|Node} [options.title] - Toast title
+ * @param {string|Node} [options.message] - Toast message, or `description`
+ * @param {Node} [options.content] - Extra content shown below the message
+ * @param {boolean} [options.html=false] - Render title and message strings as
+ *   HTML. Only use this for markup you trust, strings are text by default.
+ * @param {string} [options.type="info"] - 'success', 'error', 'info' or 'warning'
+ * @param {number} [options.duration=3000] - Display duration in milliseconds
+ * @param {boolean} [options.autoHide=true] - Whether to hide after the duration
+ * @param {number|null} [options.progress=null] - Progress bar value (0-100)
+ * @param {string} [options.position] - Region position, e.g. 'top-center'
+ * @param {Array<Object>} [options.actions] - Buttons as `{label, onClick, dismiss}`,
+ *   see `ToastElement.actions`
+ * @param {boolean} [options.record=true] - Announce the toast with a
+ *   `toast:notify` event on the document, which `notification-center` records
+ * @returns {ToastElement} The toast, or the identical toast that counted it
+ */
 export function showToast(options = {}) {
   const {
-    message = "",
+    title = "",
+    message = options.description ?? "",
+    content = null,
+    html = false,
     type = "info",
     duration = 3000,
     autoHide = true,
+    progress = null,
+    position = ToastRegion.defaultPosition,
+    actions = [],
+    record = true,
   } = options;
 
   const toast = document.createElement("toast-element");
-  toast.message = message;
+  setToastText(toast, "title", title, html);
+  setToastText(toast, "description", message, html);
+  if (content) {
+    toast.appendChild(content);
+  }
   toast.type = type;
   toast.duration = duration;
   toast.autoHide = autoHide;
+  toast.progress = progress;
+  toast.actions = actions;
 
-  document.body.appendChild(toast);
-  toast.show();
+  // Progress and loading toasts are recorded once they have an outcome
+  if (record && progress === null && type !== "loading") {
+    notifyToast(toast);
+  }
 
-  toast.addEventListener("toast:hidden", () => {
-    setTimeout(() => {
-      if (document.body.contains(toast)) {
-        document.body.removeChild(toast);
-      }
-    }, 200);
-  });
+  return ToastRegion.for(position).add(toast);
+}
+
+/**
+ * Let listeners such as `notification-center` keep a record of a toast
+ * @private
+ */
+function notifyToast(toast) {
+  document.dispatchEvent(
+    new CustomEvent("toast:notify", {
+      detail: { type: toast.type, title: toast.title, message: toast.message },
+    }),
+  );
+}
+
+/**
+ * Set a toast's title or message, slotting nodes and trusted HTML
+ * @private
+ */
+function setToastText(toast, slot, value, html) {
+  const property = slot === "title" ? "title" : "message";
+  if (!(value instanceof Node) && !(html && value)) {
+    toast[property] = value;
+    return;
+  }
+
+  const wrapper = document.createElement(slot === "title" ? "strong" : "span");
+  wrapper.slot = slot;
+  if (value instanceof Node) {
+    wrapper.appendChild(value);
+  } else {
+    wrapper.innerHTML = value;
+  }
+  toast.appendChild(wrapper);
 
-  return toast;
+  // Keep the plain text for matching repeats and announcements
+  toast[property] = wrapper.textContent;
 }
 
+/**
+ * Show one toast that follows a promise from loading to success or error
+ * Each message is a string or a function of the resolved value or the error.
+ * @example
+ * showToast.promise(graphql.mutate(DELETE_TODO, { id }), {
+ *   loading: "Deleting…",
+ *   success: "Deleted",
+ *   error: (err) => `Could not delete: ${err.message}`,
+ * });
+ * @param {Promise} promise - The promise to follow
+ * @param {Object} [messages]
+ * @param {string} [messages.loading="Loading…"] - Shown while pending
+ * @param {string|Function} [messages.success="Done"] - Shown when it resolves
+ * @param {string|Function} [messages.error] - Shown when it rejects,
+ *   defaults to the error's message
+ * @param {Object} [options] - Other `showToast` options for the settled toast
+ * @returns {Promise} The same promise, so callers can still handle its result
+ */
+showToast.promise = function (promise, messages = {}, options = {}) {
+  const {
+    loading = "Loading…",
+    success = "Done",
+    error = (err) => (err && err.message) || "Something went wrong",
+  } = messages;
+  const { duration = 3000, actions = [], ...rest } = options;
+
+  const toast = showToast({
+    ...rest,
+    message: loading,
+    type: "loading",
+    autoHide: false,
+  });
+
+  const settle = (type, message, value, settledActions) => {
+    let text = message;
+    if (typeof message === "function") {
+      try {
+        text = message(value);
+      } catch (err) {
+        console.error("Toast message formatter failed:", err);
+        text = type === "success" ? "Done" : "Something went wrong";
+      }
+    }
+
+    toast.update({
+      type,
+      message: text,
+      actions: settledActions,
+      duration,
+      autoHide: true,
+    });
+    if (options.record !== false) {
+      notifyToast(toast);
+    }
+  };
+
+  promise.then(
+    (value) => settle("success", success, value, actions),
+    (err) => settle("error", error, err, []),
+  );
+
+  return promise;
+};
+
 // Export for CommonJS
 if (typeof module !== "undefined" && module.exports) {
   module.exports = { ToastElement, showToast };
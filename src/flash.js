@@ -0,0 +1,186 @@
+/**
+ * Flash messages: toasts that are shown on the next page load, so they
+ * survive a POST/redirect/GET round trip
+ */
+
+import { showToast } from "./components/toast/toast.js";
+
+// The `showToast` options a flash message may set, flash data comes from the
+// server or the URL so anything that renders HTML or nodes is left out
+const FLASH_OPTIONS = ["type", "title", "message", "duration", "position"];
+
+// Flash messages, each one is removed from its source once read
+export class FlashMessages {
+  /**
+   * sessionStorage key for toasts queued with `FlashMessages.queue`
+   * @type {string}
+   */
+  static storageKey = "cannula:flash";
+
+  /**
+   * Cookie the server can set with a URL-encoded JSON message or list
+   * @type {string}
+   */
+  static cookieName = "flash";
+
+  /**
+   * Path the flash cookie is set with, it is expired with the same path
+   * @type {string}
+   */
+  static cookiePath = "/";
+
+  /**
+   * Domain the flash cookie is set with, null when it is set without one
+   * @type {string|null}
+   */
+  static cookieDomain = null;
+
+  /**
+   * Queue a toast for the next page load
+   * @param {string|Object} message - The message, or `type`, `title`,
+   *   `message`, `duration` and `position` options for `showToast`
+   */
+  static queue(message) {
+    try {
+      const queued = FlashMessages._readStorage();
+      queued.push(message);
+      sessionStorage.setItem(FlashMessages.storageKey, JSON.stringify(queued));
+    } catch (error) {
+      console.warn("Could not queue flash message:", error);
+    }
+  }
+
+  /**
+   * Take every pending flash message
+   * Messages come from `<script type="application/json" data-flash>`,
+   * `<meta name="flash">`, the flash cookie and the sessionStorage queue.
+   * Each one is removed as it is read, so it is only returned once. The
+   * cookie must be set with `cookiePath` and `cookieDomain` to be removed.
+   * Only plain text options are kept, see `_normalize`.
+   * @returns {Array<Object>} `showToast` options for each message
+   */
+  static take() {
+    const messages = [];
+
+    document
+      .querySelectorAll('script[type="application/json"][data-flash]')
+      .forEach((script) => {
+        messages.push(...FlashMessages._parse(script.textContent));
+        script.remove();
+      });
+
+    document.querySelectorAll('meta[name="flash"]').forEach((meta) => {
+      messages.push(...FlashMessages._parse(meta.getAttribute("content")));
+      meta.remove();
+    });
+
+    messages.push(...FlashMessages._takeCookie());
+
+    const queued = FlashMessages._readStorage();
+    if (queued.length > 0) {
+      sessionStorage.removeItem(FlashMessages.storageKey);
+      queued.forEach((message) => {
+        messages.push(FlashMessages._normalize(message));
+      });
+    }
+
+    return messages.filter((options) => options.message || options.title);
+  }
+
+  /**
+   * Show every pending flash message as a toast
+   * @returns {Array<HTMLElement>} The toasts
+   */
+  static show() {
+    return FlashMessages.take().map((options) => showToast(options));
+  }
+
+  /**
+   * Parse a JSON message or list, or take the text as the message
+   * @private
+   */
+  static _parse(text) {
+    if (!text || !text.trim()) {
+      return [];
+    }
+
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      value = text.trim();
+    }
+
+    return (Array.isArray(value) ? value : [value]).map(
+      FlashMessages._normalize,
+    );
+  }
+
+  /**
+   * Turn a message into `showToast` options, keeping only the string and
+   * number values of `FLASH_OPTIONS`
+   * @private
+   */
+  static _normalize(message) {
+    if (typeof message === "string" || typeof message === "number") {
+      return { message: String(message) };
+    }
+
+    const options = {};
+    if (message && typeof message === "object") {
+      FLASH_OPTIONS.forEach((name) => {
+        const value = message[name];
+        if (
+          typeof value === "string" ||
+          (typeof value === "number" && Number.isFinite(value))
+        ) {
+          options[name] = value;
+        }
+      });
+    }
+    return options;
+  }
+
+  /**
+   * Read and expire the flash cookie
+   * @private
+   */
+  static _takeCookie() {
+    const name = FlashMessages.cookieName;
+    const cookie = document.cookie
+      .split(";")
+      .map((part) => part.trim())
+      .find((part) => part.startsWith(`${name}=`));
+    if (!cookie) {
+      return [];
+    }
+
+    const domain = FlashMessages.cookieDomain
+      ? `; Domain=${FlashMessages.cookieDomain}`
+      : "";
+    document.cookie = `${name}=; Max-Age=0; Path=${FlashMessages.cookiePath}${domain}`;
+
+    let value = cookie.slice(name.length + 1);
+    try {
+      value = decodeURIComponent(value);
+    } catch (e) {
+      // Not encoded, use it as is
+    }
+    return FlashMessages._parse(value);
+  }
+
+  /**
+   * Read the sessionStorage queue
+   * @private
+   */
+  static _readStorage() {
+    try {
+      const queued = JSON.parse(
+        sessionStorage.getItem(FlashMessages.storageKey) || "[]",
+      );
+      return Array.isArray(queued) ? queued : [];
+    } catch (e) {
+      return [];
+    }
+  }
+}
@@ -0,0 +1,391 @@
+/**
+ * Fetch based GraphQL client for calling the API directly from JavaScript
+ */
+import {
+  FormErrorHandler,
+  GRAPHQL_ACCEPT,
+  GraphQLToastHandler,
+} from "./components/forms.js";
+import { showToast } from "./components/toast/toast.js";
+import {
+  IncrementalResult,
+  isMultipartMixed,
+  readMultipartMixed,
+} from "./incremental.js";
+
+/**
+ * The request could not be completed: offline, aborted, a non-JSON
+ * response or an HTTP error without a GraphQL body
+ */
+export class GraphQLNetworkError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status code, if a response was received
+   * @param {*} [options.cause] - The underlying error
+   */
+  constructor(message, { status = null, cause } = {}) {
+    super(message);
+    this.name = "GraphQLNetworkError";
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+export class GraphQLTimeoutError extends GraphQLNetworkError {
+  /**
+   * @param {number} timeout - The timeout that was exceeded (ms)
+   */
+  constructor(timeout) {
+    super(`GraphQL request timed out after ${timeout}ms`);
+    this.name = "GraphQLTimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The server answered with GraphQL errors
+ */
+export class GraphQLResponseError extends Error {
+  /**
+   * @param {Object} response - The GraphQL response with `errors`
+   */
+  constructor(response) {
+    const [first] = response.errors;
+    super((first && first.message) || "GraphQL request failed");
+    this.name = "GraphQLResponseError";
+    this.errors = response.errors;
+    this.data = response.data;
+    this.extensions = response.extensions;
+    this.response = response;
+  }
+}
+
+/**
+ * GraphQL client with query/mutate helpers
+ *
+ * @example
+ * const client = new GraphQLClient({ endpoint: "/graphql", timeout: 5000 });
+ * const data = await client.query("{ viewer { name } }");
+ */
+export class GraphQLClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint="/graphql"] - GraphQL endpoint URL
+   * @param {Object<string, string>} [options.headers={}] - Headers sent with every request
+   * @param {number} [options.timeout=30000] - Request timeout in ms, 0 disables it
+   * @param {string} [options.credentials="same-origin"] - Fetch credentials mode
+   * @param {boolean} [options.handleResponses=false] - Show toasts and form errors for every response
+   */
+  constructor(options = {}) {
+    this.endpoint = "/graphql";
+    this.headers = {};
+    this.timeout = 30000;
+    this.credentials = "same-origin";
+    this.handleResponses = false;
+
+    this.configure(options);
+  }
+
+  /**
+   * Update the client configuration
+   * @param {Object} options - Same options as the constructor
+   * @returns {GraphQLClient} This instance for chaining
+   */
+  configure(options = {}) {
+    const { headers, ...rest } = options;
+    Object.assign(this, rest);
+
+    if (headers) {
+      this.headers = { ...this.headers, ...headers };
+    }
+
+    return this;
+  }
+
+  /**
+   * Run a query and return its data
+   * @param {string} query - The query document
+   * @param {Object} [variables={}] - Query variables
+   * @param {Object} [options] - Per-request options, see `request`
+   * @returns {Promise<Object>} The `data` of the response
+   * @throws {GraphQLResponseError|GraphQLNetworkError}
+   */
+  async query(query, variables = {}, options = {}) {
+    const response = await this.request({ ...options, query, variables });
+    return GraphQLClient._dataOrThrow(response);
+  }
+
+  /**
+   * Run a mutation and return its data
+   * @param {string} mutation - The mutation document
+   * @param {Object} [variables={}] - Mutation variables
+   * @param {Object} [options] - Per-request options, see `request`
+   * @returns {Promise<Object>} The `data` of the response
+   * @throws {GraphQLResponseError|GraphQLNetworkError}
+   */
+  async mutate(mutation, variables = {}, options = {}) {
+    const response = await this.request({
+      ...options,
+      query: mutation,
+      variables,
+    });
+    return GraphQLClient._dataOrThrow(response);
+  }
+
+  /**
+   * Send a GraphQL request and return the full response
+   * GraphQL errors do not throw here, only network failures do
+   * @param {Object} options
+   * @param {string} options.query - The GraphQL document
+   * @param {Object} [options.variables] - Variables for the document
+   * @param {string} [options.operationName] - Operation to run
+   * @param {string} [options.endpoint] - Override the client endpoint
+   * @param {Object<string, string>} [options.headers] - Extra headers for this request
+   * @param {number} [options.timeout] - Override the client timeout
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {boolean} [options.handleResponse] - Override `handleResponses` for this request
+   * @param {ParentNode} [options.form] - Form to show field errors in, without
+   *   one errors are only shown as toasts
+   * @param {function(Object, Array<Object>|null): void} [options.onPayload] - Called with each
+   *   part of an incremental (@defer / @stream) response as it arrives, along with the chunks
+   *   it delivered (null for the initial payload)
+   * @returns {Promise<Object>} The GraphQL response `{data, errors, extensions}`, with
+   *   incremental responses merged once the last part arrived
+   * @throws {GraphQLNetworkError}
+   */
+  async request(options) {
+    const {
+      query,
+      variables,
+      operationName,
+      endpoint = this.endpoint,
+      headers = {},
+      timeout = this.timeout,
+      signal,
+      handleResponse = this.handleResponses,
+      form = null,
+      onPayload,
+    } = options;
+
+    const body = { query };
+    if (variables !== undefined) {
+      body.variables = variables;
+    }
+    if (operationName) {
+      body.operationName = operationName;
+    }
+
+    // Incremental parts are handled as they arrive rather than at the end,
+    // and no longer once the page is navigating away
+    let incremental = false;
+    let redirected = false;
+    const onPart = (payload, chunks) => {
+      incremental = true;
+      if (handleResponse && !redirected) {
+        redirected = chunks
+          ? GraphQLToastHandler.handleIncremental(chunks)
+          : GraphQLClient._handleResponse(payload, form);
+      }
+      if (onPayload) {
+        onPayload(payload, chunks);
+      }
+    };
+
+    try {
+      const response = await this._fetch(
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: GRAPHQL_ACCEPT,
+            ...this.headers,
+            ...headers,
+          },
+          credentials: this.credentials,
+          body: JSON.stringify(body),
+        },
+        { endpoint, timeout, signal, onPart },
+      );
+
+      if (handleResponse && !incremental) {
+        GraphQLClient._handleResponse(response, form);
+      }
+
+      return response;
+    } catch (error) {
+      if (handleResponse) {
+        showToast({
+          type: "error",
+          message: "The request failed. Please try again.",
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Show toasts and field errors for a response
+   * @returns {boolean} True when the page is navigating away
+   * @private
+   */
+  static _handleResponse(response, form) {
+    GraphQLToastHandler.handleResponse(response);
+    if (GraphQLToastHandler.redirected(response)) {
+      return true;
+    }
+    if (form) {
+      FormErrorHandler.handleErrors(response, form);
+    }
+    return GraphQLToastHandler.handleExtensions(response.extensions);
+  }
+
+  /**
+   * Fetch and parse a GraphQL response, enforcing the timeout
+   * @private
+   */
+  async _fetch(init, { endpoint, timeout, signal, onPart }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timerId = null;
+
+    if (timeout > 0) {
+      timerId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    }
+
+    // Forward aborts from the caller's signal
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    }
+
+    // The timer and abort listener stay active until the body is read, so a
+    // stalled incremental response can still time out or be cancelled
+    try {
+      let res;
+      try {
+        res = await fetch(endpoint, {
+          ...init,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (timedOut) {
+          throw new GraphQLTimeoutError(timeout);
+        }
+        throw new GraphQLNetworkError(
+          error.name === "AbortError"
+            ? "GraphQL request was aborted"
+            : "GraphQL request failed",
+          { cause: error },
+        );
+      }
+
+      // GraphQL servers may send errors with a 4xx status, keep those
+      const contentType = res.headers.get("Content-Type") || "";
+      if (isMultipartMixed(contentType)) {
+        try {
+          return await GraphQLClient._readIncremental(res, onPart);
+        } catch (error) {
+          if (timedOut) {
+            throw new GraphQLTimeoutError(timeout);
+          }
+          throw error;
+        }
+      }
+      if (!contentType.includes("json")) {
+        throw new GraphQLNetworkError(
+          `Unexpected ${res.status} response from GraphQL endpoint`,
+          { status: res.status },
+        );
+      }
+
+      let response;
+      try {
+        response = await res.json();
+      } catch (error) {
+        if (timedOut) {
+          throw new GraphQLTimeoutError(timeout);
+        }
+        throw new GraphQLNetworkError("Invalid JSON in GraphQL response", {
+          status: res.status,
+          cause: error,
+        });
+      }
+
+      if (!response || (response.data === undefined && !response.errors)) {
+        throw new GraphQLNetworkError(
+          `Unexpected ${res.status} response from GraphQL endpoint`,
+          { status: res.status },
+        );
+      }
+
+      return response;
+    } finally {
+      clearTimeout(timerId);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    }
+  }
+
+  /**
+   * Read a multipart/mixed response, reporting each part as it arrives
+   * @private
+   */
+  static async _readIncremental(res, onPart) {
+    let result = null;
+
+    try {
+      for await (const payload of readMultipartMixed(res)) {
+        if (result) {
+          onPart(payload, result.apply(payload));
+        } else {
+          result = new IncrementalResult(payload);
+          onPart(payload, null);
+        }
+      }
+    } catch (error) {
+      throw new GraphQLNetworkError(
+        error.name === "AbortError"
+          ? "GraphQL request was aborted"
+          : "Incremental GraphQL response failed",
+        { status: res.status, cause: error },
+      );
+    }
+
+    if (!result) {
+      throw new GraphQLNetworkError("Empty incremental GraphQL response", {
+        status: res.status,
+      });
+    }
+
+    return result.response;
+  }
+
+  /**
+   * Return response data, or throw when the response has errors
+   * @private
+   */
+  static _dataOrThrow(response) {
+    if (response.errors && response.errors.length > 0) {
+      throw new GraphQLResponseError(response);
+    }
+    return response.data;
+  }
+}
+
+/**
+ * Shared client, exposed as `UILibrary.graphql`
+ * @type {GraphQLClient}
+ */
+export const graphql = new GraphQLClient();
@@ -0,0 +1,421 @@
+/**
+ * GraphQL subscription transports: `graphql-transport-ws` over WebSocket and
+ * GraphQL over Server-Sent Events in "distinct connections" mode
+ */
+import { GraphQLNetworkError, GraphQLResponseError } from "./graphql-client.js";
+
+// Close codes from graphql-transport-ws that retrying will not fix
+const TERMINAL_CLOSE_CODES = [4400, 4401, 4403, 4406, 4409, 4429];
+
+/**
+ * Call a subscriber's callback, reporting rather than throwing its errors so
+ * one failing subscriber does not take the connection down
+ * @private
+ */
+function notify(sink, method, ...args) {
+  if (typeof sink[method] !== "function") {
+    return;
+  }
+  try {
+    sink[method](...args);
+  } catch (e) {
+    console.error("GraphQL subscription handler failed:", e);
+  }
+}
+
+/**
+ * Delay before the next reconnection attempt, exponential with jitter
+ * @param {number} attempt - Number of failed attempts so far
+ * @param {number} [minDelay=1000] - Delay for the first retry (ms)
+ * @param {number} [maxDelay=30000] - Upper bound for the delay (ms)
+ * @returns {number} The delay in ms
+ */
+export function retryDelay(attempt, minDelay = 1000, maxDelay = 30000) {
+  const delay = Math.min(maxDelay, minDelay * 2 ** attempt);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Resolve a possibly relative URL to a ws:// or wss:// URL
+ * @param {string} url - The endpoint URL
+ * @returns {string} The WebSocket URL
+ */
+export function toWebSocketUrl(url) {
+  const resolved = new URL(url, document.baseURI);
+  if (resolved.protocol === "http:") {
+    resolved.protocol = "ws:";
+  } else if (resolved.protocol === "https:") {
+    resolved.protocol = "wss:";
+  }
+  return resolved.href;
+}
+
+/**
+ * Client for the `graphql-transport-ws` protocol
+ * All subscriptions share one socket, which is opened on the first
+ * subscription, closed after the last one and reopened with backoff when
+ * the connection drops.
+ */
+export class GraphQLWebSocketClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - WebSocket endpoint, relative URLs are allowed
+   * @param {Object|function(): Object} [options.connectionParams] - Payload for `connection_init`
+   * @param {number} [options.retryAttempts=Infinity] - Reconnection attempts before giving up
+   * @param {number} [options.minRetryDelay=1000] - First reconnection delay (ms)
+   * @param {number} [options.maxRetryDelay=30000] - Longest reconnection delay (ms)
+   * @param {function(string): void} [options.onStatus] - Called with connecting, open, reconnecting or closed
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.connectionParams = options.connectionParams;
+    this.retryAttempts = options.retryAttempts ?? Infinity;
+    this.minRetryDelay = options.minRetryDelay ?? 1000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
+    this.onStatus = options.onStatus || (() => {});
+
+    this._socket = null;
+    this._acknowledged = false;
+    this._attempt = 0;
+    this._retryTimer = null;
+    this._nextId = 0;
+    this._subscriptions = new Map();
+  }
+
+  /**
+   * Start a subscription
+   * @param {Object} payload - `{query, variables, operationName}`
+   * @param {Object} sink - Callbacks for the results
+   * @param {function(Object): void} sink.next - Receives each execution result
+   * @param {function(Error): void} [sink.error] - Receives a GraphQLResponseError or GraphQLNetworkError
+   * @param {function(): void} [sink.complete] - Called when the server completes the subscription
+   * @returns {function(): void} Call to unsubscribe
+   */
+  subscribe(payload, sink) {
+    const id = String(++this._nextId);
+    this._subscriptions.set(id, { payload, sink });
+
+    if (this._acknowledged) {
+      this._send({ id, type: "subscribe", payload });
+    } else {
+      this._connect();
+    }
+
+    return () => {
+      if (!this._subscriptions.delete(id)) {
+        return;
+      }
+      if (this._acknowledged) {
+        this._send({ id, type: "complete" });
+      }
+      if (this._subscriptions.size === 0) {
+        this._close();
+      }
+    };
+  }
+
+  /**
+   * Close the connection and drop all subscriptions
+   */
+  dispose() {
+    this._subscriptions.clear();
+    this._close();
+  }
+
+  /**
+   * Open the socket if it is not already open
+   * @private
+   */
+  _connect() {
+    if (this._socket || this._retryTimer) {
+      return;
+    }
+
+    this.onStatus(this._attempt > 0 ? "reconnecting" : "connecting");
+
+    const socket = new WebSocket(
+      toWebSocketUrl(this.url),
+      "graphql-transport-ws",
+    );
+    this._socket = socket;
+
+    socket.addEventListener("open", () => {
+      const params =
+        typeof this.connectionParams === "function"
+          ? this.connectionParams()
+          : this.connectionParams;
+      this._send({ type: "connection_init", payload: params || {} });
+    });
+
+    socket.addEventListener("message", (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        console.error("Invalid graphql-transport-ws message:", e);
+        socket.close(4400, "Invalid message received");
+        return;
+      }
+      this._handleMessage(message);
+    });
+
+    socket.addEventListener("close", (event) => {
+      if (this._socket === socket) {
+        this._handleClose(event);
+      }
+    });
+  }
+
+  /**
+   * Handle a protocol message from the server
+   * @private
+   */
+  _handleMessage(message) {
+    const subscription = message.id && this._subscriptions.get(message.id);
+
+    switch (message.type) {
+      case "connection_ack":
+        this._acknowledged = true;
+        this._attempt = 0;
+        this.onStatus("open");
+        this._subscriptions.forEach(({ payload }, id) => {
+          this._send({ id, type: "subscribe", payload });
+        });
+        break;
+      case "ping":
+        this._send({ type: "pong" });
+        break;
+      case "next":
+        if (subscription) {
+          notify(subscription.sink, "next", message.payload);
+        }
+        break;
+      case "error":
+        if (subscription) {
+          this._subscriptions.delete(message.id);
+          notify(
+            subscription.sink,
+            "error",
+            new GraphQLResponseError({ errors: message.payload }),
+          );
+        }
+        break;
+      case "complete":
+        if (subscription) {
+          this._subscriptions.delete(message.id);
+          notify(subscription.sink, "complete");
+        }
+        break;
+    }
+  }
+
+  /**
+   * Reconnect with backoff, or fail the subscriptions when that is pointless
+   * @private
+   */
+  _handleClose(event) {
+    this._socket = null;
+    this._acknowledged = false;
+
+    if (this._subscriptions.size === 0) {
+      this.onStatus("closed");
+      return;
+    }
+
+    if (
+      TERMINAL_CLOSE_CODES.includes(event.code) ||
+      this._attempt >= this.retryAttempts
+    ) {
+      const error = new GraphQLNetworkError(
+        `Subscription connection closed (${event.code}${event.reason ? `: ${event.reason}` : ""})`,
+      );
+      const subscriptions = Array.from(this._subscriptions.values());
+      this._subscriptions.clear();
+      this.onStatus("closed");
+      subscriptions.forEach(({ sink }) => notify(sink, "error", error));
+      return;
+    }
+
+    this.onStatus("reconnecting");
+    this._retryTimer = setTimeout(
+      () => {
+        this._retryTimer = null;
+        this._connect();
+      },
+      retryDelay(this._attempt++, this.minRetryDelay, this.maxRetryDelay),
+    );
+  }
+
+  /**
+   * Close the socket without reconnecting
+   * @private
+   */
+  _close() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._attempt = 0;
+    this._acknowledged = false;
+
+    if (this._socket) {
+      const socket = this._socket;
+      this._socket = null;
+      socket.close(1000, "Normal Closure");
+      this.onStatus("closed");
+    }
+  }
+
+  /**
+   * Send a protocol message
+   * @private
+   */
+  _send(message) {
+    if (this._socket && this._socket.readyState === WebSocket.OPEN) {
+      this._socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+/**
+ * Client for GraphQL over Server-Sent Events in "distinct connections" mode
+ * Every subscription gets its own EventSource, which is reopened with
+ * backoff when the connection drops.
+ */
+export class GraphQLSSEClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - SSE endpoint
+   * @param {boolean} [options.withCredentials=false] - Send cookies cross-origin
+   * @param {number} [options.retryAttempts=Infinity] - Reconnection attempts before giving up
+   * @param {number} [options.minRetryDelay=1000] - First reconnection delay (ms)
+   * @param {number} [options.maxRetryDelay=30000] - Longest reconnection delay (ms)
+   * @param {function(string): void} [options.onStatus] - Called with connecting, open, reconnecting or closed
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.withCredentials = options.withCredentials ?? false;
+    this.retryAttempts = options.retryAttempts ?? Infinity;
+    this.minRetryDelay = options.minRetryDelay ?? 1000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
+    this.onStatus = options.onStatus || (() => {});
+
+    this._unsubscribers = new Set();
+  }
+
+  /**
+   * Start a subscription
+   * @param {Object} payload - `{query, variables, operationName}`
+   * @param {Object} sink - Callbacks, see `GraphQLWebSocketClient.subscribe`
+   * @returns {function(): void} Call to unsubscribe
+   */
+  subscribe(payload, sink) {
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let done = false;
+
+    const stop = () => {
+      done = true;
+      clearTimeout(retryTimer);
+      if (source) {
+        source.close();
+        source = null;
+      }
+      this._unsubscribers.delete(stop);
+    };
+
+    const open = () => {
+      this.onStatus(attempt > 0 ? "reconnecting" : "connecting");
+      source = new EventSource(this._urlFor(payload), {
+        withCredentials: this.withCredentials,
+      });
+
+      source.addEventListener("open", () => {
+        attempt = 0;
+        this.onStatus("open");
+      });
+
+      source.addEventListener("next", (event) => {
+        let result;
+        try {
+          result = JSON.parse(event.data);
+        } catch (e) {
+          console.error("Invalid GraphQL SSE message:", e);
+          return;
+        }
+        notify(sink, "next", result);
+      });
+
+      source.addEventListener("complete", () => {
+        stop();
+        this.onStatus("closed");
+        notify(sink, "complete");
+      });
+
+      source.addEventListener("error", () => {
+        // EventSource retries on its own, take over to apply backoff
+        source.close();
+        source = null;
+        if (done) {
+          return;
+        }
+
+        if (attempt >= this.retryAttempts) {
+          stop();
+          this.onStatus("closed");
+          notify(
+            sink,
+            "error",
+            new GraphQLNetworkError("Subscription connection failed"),
+          );
+          return;
+        }
+
+        this.onStatus("reconnecting");
+        retryTimer = setTimeout(
+          open,
+          retryDelay(attempt++, this.minRetryDelay, this.maxRetryDelay),
+        );
+      });
+    };
+
+    this._unsubscribers.add(stop);
+    open();
+    return stop;
+  }
+
+  /**
+   * Close every subscription
+   */
+  dispose() {
+    Array.from(this._unsubscribers).forEach((stop) => stop());
+    this.onStatus("closed");
+  }
+
+  /**
+   * Encode the operation as GET parameters
+   * @private
+   */
+  _urlFor({ query, variables, operationName }) {
+    const url = new URL(this.url, document.baseURI);
+    url.searchParams.set("query", query);
+    if (variables && Object.keys(variables).length > 0) {
+      url.searchParams.set("variables", JSON.stringify(variables));
+    }
+    if (operationName) {
+      url.searchParams.set("operationName", operationName);
+    }
+    return url.href;
+  }
+}
+
+/**
+ * Create a subscription client for a transport
+ * @param {Object} options - Options for the client
+ * @param {string} [options.transport="ws"] - `ws` for graphql-transport-ws or `sse`
+ * @returns {GraphQLWebSocketClient|GraphQLSSEClient}
+ */
+export function createSubscriptionClient(options) {
+  return options.transport === "sse"
+    ? new GraphQLSSEClient(options)
+    : new GraphQLWebSocketClient(options);
+}
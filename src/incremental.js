@@ -0,0 +1,294 @@
+/**
+ * Incremental delivery (@defer / @stream) support: multipart/mixed parsing
+ * and merging of subsequent payloads into the initial result
+ */
+
+/**
+ * Check whether a content type is an incremental multipart response
+ * @param {string|null} contentType - The Content-Type header
+ * @returns {boolean}
+ */
+export function isMultipartMixed(contentType) {
+  return !!contentType && contentType.includes("multipart/mixed");
+}
+
+/**
+ * Read the boundary from a multipart/mixed Content-Type header
+ * @param {string|null} contentType - The Content-Type header
+ * @returns {string} The boundary, `-` when none is given
+ */
+export function multipartBoundary(contentType) {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || "");
+  return match ? match[1] : "-";
+}
+
+/**
+ * Incremental parser for multipart/mixed bodies
+ * Feed it text as it arrives and it returns the JSON payloads of every
+ * part that is complete so far.
+ */
+export class MultipartMixedParser {
+  /**
+   * @param {string} [boundary="-"] - The multipart boundary
+   */
+  constructor(boundary = "-") {
+    // JSON never contains a raw CRLF, so this cannot match inside a part
+    this.delimiter = `\r\n--${boundary}`;
+    this.done = false;
+    this._buffer = "\r\n";
+  }
+
+  /**
+   * Add more of the body
+   * @param {string} text - The next chunk of the body
+   * @returns {Object[]} Payloads of the parts completed by this chunk
+   */
+  push(text) {
+    const payloads = [];
+    if (this.done) {
+      return payloads;
+    }
+
+    this._buffer += text;
+
+    let index;
+    while ((index = this._buffer.indexOf(this.delimiter)) !== -1) {
+      const payload = MultipartMixedParser._parsePart(
+        this._buffer.slice(0, index),
+      );
+      if (payload) {
+        payloads.push(payload);
+      }
+
+      this._buffer = this._buffer.slice(index + this.delimiter.length);
+
+      // The closing delimiter ends with an extra `--`
+      if (this._buffer.startsWith("--")) {
+        this.done = true;
+        this._buffer = "";
+        break;
+      }
+    }
+
+    return payloads;
+  }
+
+  /**
+   * Parse the body of one part, skipping its headers
+   * @private
+   */
+  static _parsePart(part) {
+    const separator = /\r?\n\r?\n/.exec(part);
+    const body = (
+      separator ? part.slice(separator.index + separator[0].length) : part
+    ).trim();
+
+    if (!body) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      console.error("Invalid JSON in multipart response part:", e);
+      return null;
+    }
+  }
+}
+
+/**
+ * Read the payloads of a multipart/mixed fetch response as they arrive
+ * @param {Response} response - The fetch response
+ * @yields {Object} Each payload
+ */
+export async function* readMultipartMixed(response) {
+  const parser = new MultipartMixedParser(
+    multipartBoundary(response.headers.get("Content-Type")),
+  );
+
+  // Without streaming support the payloads all arrive at the end
+  if (!response.body || !response.body.getReader) {
+    yield* parser.push(await response.text());
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    yield* parser.push(decoder.decode(value, { stream: true }));
+  }
+
+  yield* parser.push(decoder.decode());
+}
+
+/**
+ * Merge one object into another, recursing into nested objects
+ * @private
+ */
+function deepMerge(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      target[key] &&
+      typeof target[key] === "object"
+    ) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Accumulates an incremental response
+ * Understands both the current format (`pending`, `incremental` entries with
+ * an `id`, `completed`) and the earlier one (`incremental` entries with a
+ * `path` and `label`).
+ */
+export class IncrementalResult {
+  /**
+   * @param {Object} initial - The initial payload
+   */
+  constructor(initial) {
+    this.data = initial.data ?? null;
+    this.errors = [...(initial.errors || [])];
+    this.extensions = initial.extensions;
+    this.hasNext = initial.hasNext ?? false;
+
+    this._pending = new Map();
+    this._track(initial.pending);
+  }
+
+  /**
+   * The merged response so far
+   * @returns {Object} `{data, errors, extensions}`
+   */
+  get response() {
+    const response = { data: this.data };
+    if (this.errors.length > 0) {
+      response.errors = this.errors;
+    }
+    if (this.extensions) {
+      response.extensions = this.extensions;
+    }
+    return response;
+  }
+
+  /**
+   * Merge a subsequent payload
+   * @param {Object} payload - The payload
+   * @returns {Array<{path: Array, label: string, data: Object, items: Array, errors: Object[], extensions: Object}>}
+   *   The chunks the payload delivered
+   */
+  apply(payload) {
+    const chunks = [];
+    this._track(payload.pending);
+
+    (payload.incremental || []).forEach((entry) => {
+      const pending =
+        entry.id !== undefined ? this._pending.get(entry.id) : null;
+      const chunk = {
+        path: pending
+          ? [...pending.path, ...(entry.subPath || [])]
+          : entry.path || [],
+        label: pending ? pending.label : entry.label,
+        data: entry.data,
+        items: entry.items,
+        errors: entry.errors || [],
+        extensions: entry.extensions,
+      };
+
+      this._merge(chunk, !pending);
+      chunks.push(chunk);
+    });
+
+    (payload.completed || []).forEach(({ id, errors }) => {
+      const pending = this._pending.get(id);
+      this._pending.delete(id);
+      if (errors && errors.length > 0) {
+        chunks.push({
+          path: pending ? pending.path : [],
+          label: pending && pending.label,
+          errors,
+        });
+      }
+    });
+
+    // Errors and extensions for the payload as a whole
+    if ((payload.errors && payload.errors.length > 0) || payload.extensions) {
+      chunks.push({
+        path: [],
+        errors: payload.errors || [],
+        extensions: payload.extensions,
+      });
+    }
+
+    chunks.forEach((chunk) => this.errors.push(...chunk.errors));
+
+    if (payload.hasNext !== undefined) {
+      this.hasNext = payload.hasNext;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Remember announced deferred fragments and streams
+   * @private
+   */
+  _track(pending) {
+    (pending || []).forEach((entry) => {
+      this._pending.set(entry.id, {
+        path: entry.path || [],
+        label: entry.label,
+      });
+    });
+  }
+
+  /**
+   * Merge a chunk's data or stream items into the result
+   * @private
+   */
+  _merge(chunk, legacy) {
+    if (chunk.data) {
+      const target = this._at(chunk.path);
+      if (target) {
+        deepMerge(target, chunk.data);
+      }
+    }
+
+    if (chunk.items) {
+      // Earlier format paths point at the index of the first item
+      const listPath =
+        legacy && typeof chunk.path[chunk.path.length - 1] === "number"
+          ? chunk.path.slice(0, -1)
+          : chunk.path;
+      const list = this._at(listPath);
+      if (Array.isArray(list)) {
+        list.push(...chunk.items);
+      }
+    }
+  }
+
+  /**
+   * Find the value at a response path
+   * @private
+   */
+  _at(path) {
+    if (this.data === null) {
+      this.data = {};
+    }
+    return path.reduce(
+      (value, segment) => (value == null ? value : value[segment]),
+      this.data,
+    );
+  }
+}
@@ -1,23 +1,73 @@
 import { ToastElement } from "./components/toast/toast.js";
+import { ToastRegion } from "./components/toast-region/toast-region.js";
+import { NotificationCenter } from "./components/notification-center/notification-center.js";
 import { ThemeToggle } from "./components/theme-toggle/theme-toggle.js";
 import { LucideIcon } from "./components/icons/lucide-icon.js";
-import { GraphQLToastHandler, FormErrorHandler } from "./components/forms.js";
+import { FormErrorSummary } from "./components/form-error-summary/form-error-summary.js";
+import { GraphQLForm } from "./components/graphql-form/graphql-form.js";
+import { GraphQLSubscription } from "./components/graphql-subscription/graphql-subscription.js";
+import {
+  GraphQLToastHandler,
+  FormErrorHandler,
+  FormSerializer,
+  RequestIndicator,
+} from "./components/forms.js";
+import { NativeFormHandler } from "./components/native-forms.js";
+import {
+  graphql,
+  GraphQLClient,
+  GraphQLNetworkError,
+  GraphQLResponseError,
+  GraphQLTimeoutError,
+} from "./graphql-client.js";
+import {
+  createSubscriptionClient,
+  GraphQLSSEClient,
+  GraphQLWebSocketClient,
+} from "./graphql-subscriptions.js";
+import { IncrementalResult, MultipartMixedParser } from "./incremental.js";
+import { FlashMessages } from "./flash.js";
+import {
+  createTheme,
+  loadPicoCSS,
+  ThemeRegistry,
+  themes,
+} from "./style-loader.js";
+import { setDocumentStyleSheets } from "./template-loader.js";
+
+/**
+ * The main initialization function
+ * @param {Object} [options]
+ * @param {string|string[]} [options.forwardParams] - URL params the HTMX extension
+ *   forwards with requests, see `GraphQLToastHandler.forwardParams`
+ * @param {Object} [options.errorCodes] - Toast types and redirects by error
+ *   `extensions.code`, merged into `GraphQLToastHandler.errorCodes`
+ * @param {boolean|Object} [options.pico=false] - Load Pico CSS: true for the
+ *   CDN copy, or `loadPicoCSS` options such as a self-hosted `url`, inline
+ *   `css`, `version`, `integrity` or `timeout`. The page stays hidden until
+ *   Pico loaded or timed out. Leave it off to bring your own CSS, or none;
+ *   components only rely on Pico's custom properties and have defaults.
+ * @param {string} [options.theme] - Registered theme to use, see `themes`
+ * @param {boolean} [options.flash=true] - Show flash messages left by the
+ *   server or the previous page, see `FlashMessages`
+ * @returns {Promise<boolean>} Whether initialization succeeded
+ */
+async function initialize(options = {}) {
+  if (options.forwardParams !== undefined) {
+    GraphQLToastHandler.forwardParams = options.forwardParams;
+  }
+  if (options.errorCodes) {
+    Object.assign(GraphQLToastHandler.errorCodes, options.errorCodes);
+  }
 
-// The main initialization function
-async function initialize() {
   // prevent content flashing
   document.body.style.opacity = 0;
 
   try {
-    // 1. Load and apply Pico CSS
-    // const picoResponse = await fetch(
-    //   "https://cdn.jsdelivr.net/npm/@picocss/pico@2/css/pico.min.css",
-    // );
-    // const picoCSS = await picoResponse.text();
-
-    // const picoStyleSheet = new CSSStyleSheet();
-    // picoStyleSheet.replaceSync(picoCSS);
-    // document.adoptedStyleSheets = [picoStyleSheet];
+    // 1. Load and apply Pico CSS when asked to
+    const picoStyleSheet = options.pico
+      ? await loadPicoCSS(options.pico === true ? {} : options.pico)
+      : null;
 
     // 2. Add your custom styles
     const customStyleSheet = new CSSStyleSheet();
@@ -28,14 +78,31 @@ async function initialize() {
       }
     `);
 
-    // 3. Apply stylesheets to document
-    document.adoptedStyleSheets = [customStyleSheet];
+    // 3. Apply stylesheets to document, keeping registered themes
+    setDocumentStyleSheets([
+      ...(picoStyleSheet ? [picoStyleSheet] : []),
+      customStyleSheet,
+      ...themes.sheets,
+    ]);
+
+    // Use a registered theme for the page
+    if (options.theme) {
+      themes.use(options.theme);
+    }
 
     // 4. Register web components if not already registered
     if (!customElements.get("toast-element")) {
       customElements.define("toast-element", ToastElement);
     }
 
+    if (!customElements.get("toast-region")) {
+      customElements.define("toast-region", ToastRegion);
+    }
+
+    if (!customElements.get("notification-center")) {
+      customElements.define("notification-center", NotificationCenter);
+    }
+
     if (!customElements.get("theme-toggle")) {
       customElements.define("theme-toggle", ThemeToggle);
     }
@@ -44,11 +111,31 @@ async function initialize() {
       customElements.define("lucide-icon", LucideIcon);
     }
 
+    if (!customElements.get("form-error-summary")) {
+      customElements.define("form-error-summary", FormErrorSummary);
+    }
+
+    if (!customElements.get("graphql-form")) {
+      customElements.define("graphql-form", GraphQLForm);
+    }
+
+    if (!customElements.get("graphql-subscription")) {
+      customElements.define("graphql-subscription", GraphQLSubscription);
+    }
+
     // 5. Register HTMX plugin if HTMX is available
     if (window.htmx) {
       GraphQLToastHandler.registerHtmxExtension();
     }
 
+    // 6. Enhance data-graphql forms, with or without HTMX
+    NativeFormHandler.register();
+
+    // 7. Show flash messages from the server or the previous page
+    if (options.flash !== false) {
+      FlashMessages.show();
+    }
+
     // Show the document
     document.body.style.opacity = 1;
 
@@ -65,14 +152,39 @@ async function initialize() {
 const UILibrary = {
   initialize,
   ToastElement,
+  ToastRegion,
+  NotificationCenter,
   ThemeToggle,
+  LucideIcon,
   GraphQLToastHandler,
   FormErrorHandler,
+  FormErrorSummary,
+  FormSerializer,
+  NativeFormHandler,
+  RequestIndicator,
+  GraphQLForm,
+  graphql,
+  GraphQLClient,
+  GraphQLNetworkError,
+  GraphQLResponseError,
+  GraphQLTimeoutError,
+  GraphQLSubscription,
+  createSubscriptionClient,
+  GraphQLWebSocketClient,
+  GraphQLSSEClient,
+  IncrementalResult,
+  MultipartMixedParser,
+  FlashMessages,
+  themes,
+  ThemeRegistry,
+  createTheme,
+  loadPicoCSS,
+  setDocumentStyleSheets,
 };
 
 // Auto-initialize when DOM is ready
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initialize);
+  document.addEventListener("DOMContentLoaded", () => initialize());
 } else {
   initialize();
 }
@@ -1,68 +1,176 @@
+import { setDocumentStyleSheets } from "./template-loader.js";
+
+// Pico stylesheets that were loaded, by URL or inline CSS
+const picoSheets = new Map();
+
+/**
+ * The stylesheet URL for Pico options
+ * @param {Object} options - See `loadPicoCSS`
+ * @returns {string} The URL
+ */
+function picoUrl({ url, version = "2", classless = false }) {
+  if (url) {
+    return url;
+  }
+  const file = classless ? "pico.classless.min.css" : "pico.min.css";
+  return `https://cdn.jsdelivr.net/npm/@picocss/pico@${version}/css/${file}`;
+}
+
 /**
  * Loads Pico CSS and applies it to the document using Constructable Stylesheets
- * @returns {Promise<CSSStyleSheet|null>} The Pico CSS stylesheet or null if failed
+ * By default Pico comes from jsDelivr. For networks without internet access
+ * give a self-hosted `url`, or the stylesheet itself as `css`, e.g. a copy
+ * bundled with the app. Each source is only loaded once, a source that failed
+ * is tried again on the next call.
+ * @param {Object} [options]
+ * @param {string} [options.version="2"] - Pico version to load from the CDN
+ * @param {boolean} [options.classless=false] - Load the classless build from the CDN
+ * @param {string} [options.url] - Stylesheet URL to use instead of the CDN
+ * @param {string} [options.css] - Stylesheet text to use instead of fetching one
+ * @param {string} [options.integrity] - Subresource Integrity hash the fetched
+ *   or linked stylesheet must match, e.g. `sha384-…`
+ * @param {number} [options.timeout=5000] - Give up on the stylesheet after
+ *   this many ms, 0 to wait as long as the browser does
+ * @returns {Promise<CSSStyleSheet|null>} The Pico CSS stylesheet, or null if
+ *   it failed or was applied with a <link> or <style> element instead
  */
-export async function loadPicoCSS() {
-  try {
-    // Check if Constructable Stylesheets are supported
-    if (
-      !("CSSStyleSheet" in window) ||
-      !("replaceSync" in CSSStyleSheet.prototype)
-    ) {
-      console.warn(
-        "Constructable Stylesheets not supported. Falling back to <link> element.",
-      );
-      return await loadPicoCSSFallback();
-    }
+export async function loadPicoCSS(options = {}) {
+  const key = options.css ?? picoUrl(options);
+  if (!picoSheets.has(key)) {
+    picoSheets.set(key, createPicoSheet(options));
+  }
+
+  const loaded = await picoSheets.get(key);
+  if (!loaded) {
+    picoSheets.delete(key);
+    return null;
+  }
+  if (!(loaded instanceof CSSStyleSheet)) {
+    return null;
+  }
 
-    // Fetch Pico CSS from CDN
-    const response = await fetch(
-      "https://cdn.jsdelivr.net/npm/@picocss/pico@1/css/pico.min.css",
+  if (!document.adoptedStyleSheets.includes(loaded)) {
+    // Apply to document
+    setDocumentStyleSheets([...document.adoptedStyleSheets, loaded]);
+  }
+  return loaded;
+}
+
+/**
+ * Load and parse the Pico stylesheet
+ * @param {Object} options - See `loadPicoCSS`
+ * @returns {Promise<CSSStyleSheet|HTMLElement|null>} The stylesheet, the
+ *   element used instead, or null if failed
+ */
+async function createPicoSheet(options) {
+  const { timeout = 5000 } = options;
+
+  // Check if Constructable Stylesheets are supported
+  if (
+    !("CSSStyleSheet" in window) ||
+    !("replaceSync" in CSSStyleSheet.prototype)
+  ) {
+    console.warn(
+      "Constructable Stylesheets not supported. Falling back to <link> element.",
     );
+    return loadPicoCSSFallback(options);
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch Pico CSS: ${response.statusText}`);
-    }
+  const controller = new AbortController();
+  let timedOut = false;
+  let timerId = null;
+
+  try {
+    let cssText = options.css;
+    if (cssText === undefined) {
+      if (timeout > 0) {
+        timerId = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+      }
+
+      // Fetch Pico CSS, checking its hash when one is given
+      const init = { signal: controller.signal };
+      if (options.integrity) {
+        init.integrity = options.integrity;
+      }
+      const response = await fetch(picoUrl(options), init);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch Pico CSS: ${response.statusText}`);
+      }
 
-    const cssText = await response.text();
+      cssText = await response.text();
+    }
 
     // Create and populate a stylesheet
     const picoStyleSheet = new CSSStyleSheet();
     picoStyleSheet.replaceSync(cssText);
 
-    // Apply to document
-    document.adoptedStyleSheets = [
-      ...document.adoptedStyleSheets,
-      picoStyleSheet,
-    ];
-
     return picoStyleSheet;
   } catch (error) {
+    // A server that does not answer will not answer a <link> either
+    if (timedOut) {
+      console.error(`Pico CSS did not load within ${timeout}ms`);
+      return null;
+    }
     console.error("Error loading Pico CSS:", error);
-    return await loadPicoCSSFallback();
+    return loadPicoCSSFallback(options);
+  } finally {
+    clearTimeout(timerId);
   }
 }
 
 /**
  * Fallback method for browsers without Constructable Stylesheets support
- * @returns {Promise<null>} Always returns null
+ * @param {Object} options - See `loadPicoCSS`
+ * @returns {Promise<HTMLElement|null>} The <style> or <link> element, or
+ *   null if the stylesheet failed or timed out
  */
-async function loadPicoCSSFallback() {
+async function loadPicoCSSFallback(options) {
+  const { timeout = 5000 } = options;
+
+  // Inline CSS needs no network, a <style> element will do
+  if (options.css !== undefined) {
+    const style = document.createElement("style");
+    style.textContent = options.css;
+    document.head.appendChild(style);
+    return style;
+  }
+
   return new Promise((resolve) => {
     const link = document.createElement("link");
     link.rel = "stylesheet";
-    link.href = "https://cdn.jsdelivr.net/npm/@picocss/pico@1/css/pico.min.css";
+    link.href = picoUrl(options);
+    if (options.integrity) {
+      link.integrity = options.integrity;
+      link.crossOrigin = "anonymous";
+    }
 
-    link.onload = () => {
-      console.log("Pico CSS loaded via <link> element");
+    let timerId = null;
+    const fail = (message) => {
+      clearTimeout(timerId);
+      console.error(message);
+      link.remove();
       resolve(null);
     };
 
-    link.onerror = () => {
-      console.error("Failed to load Pico CSS via <link> element");
-      resolve(null);
+    link.onload = () => {
+      clearTimeout(timerId);
+      console.log("Pico CSS loaded via <link> element");
+      resolve(link);
     };
 
+    link.onerror = () => fail("Failed to load Pico CSS via <link> element");
+
+    if (timeout > 0) {
+      timerId = setTimeout(
+        () => fail(`Pico CSS did not load within ${timeout}ms`),
+        timeout,
+      );
+    }
+
     document.head.appendChild(link);
   });
 }
@@ -92,7 +200,7 @@ export function createTheme(cssText) {
     themeSheet.replaceSync(cssText);
 
     // Apply to document
-    document.adoptedStyleSheets = [...document.adoptedStyleSheets, themeSheet];
+    setDocumentStyleSheets([...document.adoptedStyleSheets, themeSheet]);
 
     return themeSheet;
   } catch (error) {
@@ -100,3 +208,224 @@ export function createTheme(cssText) {
     return null;
   }
 }
+
+/**
+ * Turn design tokens into CSS custom property declarations
+ * Nested keys are joined with dashes and camelCase becomes kebab-case, so
+ * `{color: {primaryHover: "#2563eb"}}` sets `--color-primary-hover`. Keys that
+ * already start with `--` are used as they are.
+ * @param {Object} tokens - The design tokens
+ * @returns {string} The declarations, one per line
+ */
+export function tokensToCss(tokens) {
+  const declarations = [];
+
+  const walk = (value, path) => {
+    if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, child]) => {
+        walk(child, [...path, key]);
+      });
+      return;
+    }
+
+    const name = path[0].startsWith("--")
+      ? path.join("-")
+      : `--${path
+          .join("-")
+          .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+          .toLowerCase()}`;
+    declarations.push(`  ${name}: ${value};`);
+  };
+
+  Object.entries(tokens || {}).forEach(([key, value]) => walk(value, [key]));
+  return declarations.join("\n");
+}
+
+/**
+ * Named themes of design tokens, applied as CSS custom properties
+ * The active theme lives in one stylesheet that is replaced in place when
+ * another theme is used. `light` and `dark` keys in a theme's tokens only
+ * apply in that mode, following `data-theme` as set by `theme-toggle`, or
+ * the system color scheme when it is not set.
+ */
+export class ThemeRegistry {
+  constructor() {
+    this._themes = new Map();
+    this._active = null;
+    this._rootSheet = null;
+    this._scopeSheet = null;
+  }
+
+  /**
+   * Add a theme, replacing one with the same name
+   * Elements with `data-ui-theme="<name>"` use it for their subtree.
+   * @param {string} name - The theme name
+   * @param {Object} tokens - Design tokens, optionally with `light` and `dark` overrides
+   * @returns {ThemeRegistry} The registry for chaining
+   */
+  register(name, tokens) {
+    this._themes.set(name, tokens);
+    this._update();
+    return this;
+  }
+
+  /**
+   * Remove a theme, the page stops using it if it was active
+   * @param {string} name - The theme name
+   * @returns {boolean} Whether there was such a theme
+   */
+  remove(name) {
+    const removed = this._themes.delete(name);
+    if (this._active === name) {
+      this._active = null;
+    }
+    this._update();
+    return removed;
+  }
+
+  /**
+   * Check whether a theme is registered
+   * @param {string} name - The theme name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this._themes.has(name);
+  }
+
+  /**
+   * The names of the registered themes
+   * @returns {string[]}
+   */
+  get names() {
+    return Array.from(this._themes.keys());
+  }
+
+  /**
+   * The constructed stylesheets holding the themes
+   * @returns {CSSStyleSheet[]}
+   */
+  get sheets() {
+    return [this._rootSheet, this._scopeSheet].filter(
+      (sheet) => sheet && !(sheet instanceof HTMLStyleElement),
+    );
+  }
+
+  /**
+   * The theme the page uses, or null
+   * @returns {string|null}
+   */
+  get active() {
+    return this._active;
+  }
+
+  /**
+   * Use a theme for the page, or for one element and its subtree
+   * @param {string|null} name - The theme name, null to stop using one
+   * @param {Element} [scope] - Only theme this element's subtree
+   * @returns {ThemeRegistry} The registry for chaining
+   */
+  use(name, scope = null) {
+    if (name !== null && !this._themes.has(name)) {
+      throw new Error(`Unknown theme "${name}".`);
+    }
+
+    if (scope) {
+      if (name === null) {
+        scope.removeAttribute("data-ui-theme");
+      } else {
+        scope.setAttribute("data-ui-theme", name);
+      }
+      return this;
+    }
+
+    this._active = name;
+    this._update();
+    return this;
+  }
+
+  /**
+   * The CSS for one theme under a selector
+   * @private
+   */
+  _cssFor(selector, tokens) {
+    const { light, dark, ...base } = tokens;
+
+    // Mode overrides follow data-theme on the page or on the themed element
+    const within = (root, mode = null) => {
+      if (selector === ":root") {
+        return root;
+      }
+      return mode
+        ? `${root} ${selector}, ${selector}[data-theme="${mode}"]`
+        : `${root} ${selector}`;
+    };
+
+    const rules = [`${selector} {\n${tokensToCss(base)}\n}`];
+    if (light) {
+      rules.push(
+        `${within(':root[data-theme="light"]', "light")} {\n${tokensToCss(light)}\n}`,
+        `@media (prefers-color-scheme: light) {\n${within(":root:not([data-theme])")} {\n${tokensToCss(light)}\n}\n}`,
+      );
+    }
+    if (dark) {
+      rules.push(
+        `${within(':root[data-theme="dark"]', "dark")} {\n${tokensToCss(dark)}\n}`,
+        `@media (prefers-color-scheme: dark) {\n${within(":root:not([data-theme])")} {\n${tokensToCss(dark)}\n}\n}`,
+      );
+    }
+    return rules.join("\n");
+  }
+
+  /**
+   * Rewrite the theme sheets in place
+   * @private
+   */
+  _update() {
+    const active = this._active ? this._themes.get(this._active) : null;
+    const rootCss = active ? this._cssFor(":root", active) : "";
+    const scopeCss = Array.from(this._themes.entries())
+      .map(([name, tokens]) =>
+        this._cssFor(`[data-ui-theme="${CSS.escape(name)}"]`, tokens),
+      )
+      .join("\n");
+
+    this._rootSheet = ThemeRegistry._replace(this._rootSheet, rootCss);
+    this._scopeSheet = ThemeRegistry._replace(this._scopeSheet, scopeCss);
+  }
+
+  /**
+   * Replace a sheet's CSS, creating it with `createTheme` the first time
+   * Without Constructable Stylesheets the sheet is a <style> element.
+   * @private
+   */
+  static _replace(sheet, cssText) {
+    if (sheet instanceof HTMLStyleElement) {
+      sheet.textContent = cssText;
+      return sheet;
+    }
+    if (sheet) {
+      sheet.replaceSync(cssText);
+
+      // Adopt it again if the document's sheets were replaced
+      if (!document.adoptedStyleSheets.includes(sheet)) {
+        setDocumentStyleSheets([...document.adoptedStyleSheets, sheet]);
+      }
+      return sheet;
+    }
+
+    if ("CSSStyleSheet" in window && "replaceSync" in CSSStyleSheet.prototype) {
+      return createTheme(cssText);
+    }
+
+    const style = document.createElement("style");
+    style.textContent = cssText;
+    document.head.appendChild(style);
+    return style;
+  }
+}
+
+/**
+ * The page's theme registry
+ * @type {ThemeRegistry}
+ */
+export const themes = new ThemeRegistry();
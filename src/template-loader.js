@@ -45,15 +45,49 @@ export function combineTemplateWithStyles(htmlString, cssString) {
   return `<style>${cssString}</style>${htmlString}`;
 }
 
+// One stylesheet per component CSS, shared by every instance
+const componentSheets = new Map();
+
+// Shadow roots that follow the document's adopted stylesheets, one weak
+// reference per root, and each root's component sheet
+const followingRoots = new Set();
+const rootRefs = new WeakMap();
+const followers = new WeakSet();
+const ownSheets = new WeakMap();
+
+// Drop the reference of a root that was collected before the next theme change
+const collectedRoots = new FinalizationRegistry((ref) =>
+  followingRoots.delete(ref),
+);
+
+/**
+ * Get the shared stylesheet for a component's CSS, parsing it only once
+ *
+ * @param {string} cssString - The component CSS
+ * @returns {CSSStyleSheet} The cached stylesheet
+ */
+export function componentSheet(cssString) {
+  let sheet = componentSheets.get(cssString);
+  if (!sheet) {
+    sheet = new CSSStyleSheet();
+    sheet.replaceSync(cssString);
+    componentSheets.set(cssString, sheet);
+  }
+  return sheet;
+}
+
 /**
  * Applies styles to a shadow root using Constructable Stylesheets if supported
+ * The component sheet is shared between instances. When document sheets are
+ * given the shadow root keeps following the document, see
+ * `setDocumentStyleSheets`.
  *
  * @param {ShadowRoot} shadowRoot - The shadow root to apply styles to
  * @param {string} cssString - CSS string to apply
  * @param {CSSStyleSheet[]} documentSheets - Optional array of document stylesheets to inherit
  * @returns {boolean} True if styles were applied using Constructable Stylesheets
  */
-export function applyStyles(shadowRoot, cssString, documentSheets = []) {
+export function applyStyles(shadowRoot, cssString, documentSheets = null) {
   try {
     // Check if Constructable Stylesheets are supported
     if (
@@ -63,16 +97,17 @@ export function applyStyles(shadowRoot, cssString, documentSheets = []) {
       return false;
     }
 
-    // Create component-specific stylesheet
-    const componentSheet = new CSSStyleSheet();
-    componentSheet.replaceSync(cssString);
+    const sheet = componentSheet(cssString);
+    ownSheets.set(shadowRoot, sheet);
 
     // Apply document stylesheets + component stylesheet
-    if (documentSheets.length > 0) {
-      shadowRoot.adoptedStyleSheets = [...documentSheets, componentSheet];
+    if (documentSheets) {
+      shadowRoot.adoptedStyleSheets = [...documentSheets, sheet];
+      followers.add(shadowRoot);
+      follow(shadowRoot);
     } else {
       // Just use component styles if no document stylesheets provided
-      shadowRoot.adoptedStyleSheets = [componentSheet];
+      shadowRoot.adoptedStyleSheets = [sheet];
     }
 
     return true;
@@ -84,3 +119,60 @@ export function applyStyles(shadowRoot, cssString, documentSheets = []) {
     return false;
   }
 }
+
+/**
+ * Keep a shadow root in step with the document's stylesheets
+ * @private
+ */
+function follow(shadowRoot) {
+  if (!rootRefs.has(shadowRoot)) {
+    const ref = new WeakRef(shadowRoot);
+    rootRefs.set(shadowRoot, ref);
+    followingRoots.add(ref);
+    collectedRoots.register(shadowRoot, ref, ref);
+  }
+}
+
+/**
+ * Catch a component up with the document's stylesheets when it is added to
+ * the page. Roots stop following the document while their host is off the
+ * page, components call this from `connectedCallback`.
+ *
+ * @param {ShadowRoot} shadowRoot - The component's shadow root
+ */
+export function syncStyles(shadowRoot) {
+  if (!followers.has(shadowRoot) || rootRefs.has(shadowRoot)) {
+    return;
+  }
+  shadowRoot.adoptedStyleSheets = [
+    ...document.adoptedStyleSheets,
+    ownSheets.get(shadowRoot),
+  ];
+  follow(shadowRoot);
+}
+
+/**
+ * Replace the document's adopted stylesheets and push them to every shadow
+ * root that follows the document, so themes reach existing components.
+ * Use this instead of setting `document.adoptedStyleSheets` directly.
+ *
+ * @param {CSSStyleSheet[]} sheets - The new document stylesheets
+ */
+export function setDocumentStyleSheets(sheets) {
+  document.adoptedStyleSheets = sheets;
+
+  followingRoots.forEach((ref) => {
+    const shadowRoot = ref.deref();
+
+    // Components off the page catch up in syncStyles when they come back
+    if (!shadowRoot || !shadowRoot.host.isConnected) {
+      followingRoots.delete(ref);
+      collectedRoots.unregister(ref);
+      if (shadowRoot) {
+        rootRefs.delete(shadowRoot);
+      }
+      return;
+    }
+    shadowRoot.adoptedStyleSheets = [...sheets, ownSheets.get(shadowRoot)];
+  });
+}
@@ -0,0 +1,96 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("FlashMessages", async () => {
+  const { FlashMessages } = UILibrary;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  afterEach(() => {
+    sessionStorage.removeItem(FlashMessages.storageKey);
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+
+  it("shows messages from a JSON script block once", async () => {
+    await fixture(html`
+      <script type="application/json" data-flash>
+        [{ "type": "success", "message": "Profile saved" }]
+      </script>
+    `);
+
+    const toasts = FlashMessages.show();
+    expect(toasts.map((t) => [t.type, t.message])).to.deep.equal([
+      ["success", "Profile saved"],
+    ]);
+    expect(FlashMessages.take()).to.deep.equal([]);
+  });
+
+  it("reads a plain text meta message", async () => {
+    await fixture(html`<meta name="flash" content="Welcome back" />`);
+
+    expect(FlashMessages.take()).to.deep.equal([{ message: "Welcome back" }]);
+  });
+
+  it("reads and expires the flash cookie", async () => {
+    document.cookie = `flash=${encodeURIComponent(
+      JSON.stringify({ type: "warning", message: "Session ending" }),
+    )}; Path=/`;
+
+    expect(FlashMessages.take()).to.deep.equal([
+      { type: "warning", message: "Session ending" },
+    ]);
+    expect(FlashMessages.take()).to.deep.equal([]);
+  });
+
+  it("keeps only plain text toast options", async () => {
+    await fixture(html`
+      <script type="application/json" data-flash>
+        [
+          {
+            "type": "error",
+            "message": "<img src=x onerror=alert(1)>",
+            "html": true,
+            "content": { "nodeType": 1 },
+            "duration": 5000,
+            "actions": [{ "label": "Undo" }]
+          },
+          { "html": true },
+          { "message": { "text": "Not a string" } }
+        ]
+      </script>
+    `);
+
+    const toasts = FlashMessages.show();
+    expect(toasts.length).to.equal(1);
+    expect(toasts[0].message).to.equal("<img src=x onerror=alert(1)>");
+    expect(toasts[0].querySelector("img")).to.not.exist;
+    expect(toasts[0].shadowRoot.querySelector("img")).to.not.exist;
+  });
+
+  it("expires the flash cookie with its path", async () => {
+    const { cookiePath } = FlashMessages;
+    const path = window.location.pathname.replace(/[^/]*$/, "");
+    FlashMessages.cookiePath = path;
+    document.cookie = `flash=Saved; Path=${path}`;
+
+    const messages = FlashMessages.take();
+    FlashMessages.cookiePath = cookiePath;
+
+    expect(messages).to.deep.equal([{ message: "Saved" }]);
+    expect(document.cookie).to.not.match(/(^|; )flash=[^;]/);
+    expect(FlashMessages.take()).to.deep.equal([]);
+  });
+
+  it("queues toasts for the next page load", async () => {
+    FlashMessages.queue({ type: "success", message: "Signed out" });
+    FlashMessages.queue("See you soon");
+
+    expect(FlashMessages.take()).to.deep.equal([
+      { type: "success", message: "Signed out" },
+      { message: "See you soon" },
+    ]);
+    expect(sessionStorage.getItem(FlashMessages.storageKey)).to.equal(null);
+  });
+});
@@ -0,0 +1,468 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+const { FormErrorHandler } = UILibrary;
+
+describe("FormErrorHandler", async () => {
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  it("scopes errors to the given form", async () => {
+    const el = await fixture(html`
+      <div>
+        <form id="first">
+          <label><input name="email" /></label>
+        </form>
+        <form id="second">
+          <label><input name="email" /></label>
+        </form>
+      </div>
+    `);
+    const [first, second] = el.querySelectorAll("form");
+
+    FormErrorHandler.handleErrors(
+      { errors: [{ message: "Taken", extensions: { field: "email" } }] },
+      second,
+    );
+
+    expect(first.querySelector("input").hasAttribute("aria-invalid")).to.be
+      .false;
+    expect(second.querySelector("input").getAttribute("aria-invalid")).to.equal(
+      "true",
+    );
+  });
+
+  it("clears only the errors in the given form", async () => {
+    const el = await fixture(html`
+      <div>
+        <form>
+          <label><input name="email" /></label>
+        </form>
+        <form>
+          <label><input name="email" /></label>
+        </form>
+      </div>
+    `);
+    const [first, second] = el.querySelectorAll("form");
+    const response = {
+      errors: [{ message: "Required", extensions: { field: "email" } }],
+    };
+
+    FormErrorHandler.handleErrors(response, first);
+    FormErrorHandler.handleErrors(response, second);
+    FormErrorHandler.clearErrors(second);
+
+    expect(first.querySelector("input").getAttribute("aria-invalid")).to.equal(
+      "true",
+    );
+    expect(second.querySelector("input").hasAttribute("aria-invalid")).to.be
+      .false;
+  });
+
+  it("gives same-named fields distinct helper ids", async () => {
+    const el = await fixture(html`
+      <div>
+        <form>
+          <label><input name="email" /></label>
+        </form>
+        <form>
+          <label><input name="email" /></label>
+        </form>
+      </div>
+    `);
+    const [first, second] = el.querySelectorAll("form");
+    const response = {
+      errors: [{ message: "Invalid", extensions: { field: "email" } }],
+    };
+
+    FormErrorHandler.handleErrors(response, first);
+    FormErrorHandler.handleErrors(response, second);
+
+    const firstHelper = first
+      .querySelector("input")
+      .getAttribute("aria-describedby");
+    const secondHelper = second
+      .querySelector("input")
+      .getAttribute("aria-describedby");
+    expect(firstHelper).to.not.equal(secondHelper);
+    expect(second.querySelector(`#${secondHelper}`).textContent).to.equal(
+      "Invalid",
+    );
+  });
+
+  it("matches nested input paths to bracketed field names", async () => {
+    const form = await fixture(html`
+      <form>
+        <label><input name="address[street]" /></label>
+      </form>
+    `);
+
+    FormErrorHandler.handleErrors(
+      {
+        errors: [
+          {
+            message: "Required",
+            extensions: { field: "input.address.street" },
+          },
+        ],
+      },
+      form,
+    );
+
+    expect(form.querySelector("input").getAttribute("aria-invalid")).to.equal(
+      "true",
+    );
+  });
+
+  it("matches list indices from an array path", async () => {
+    const form = await fixture(html`
+      <form>
+        <label><input name="items[0].quantity" /></label>
+        <label><input name="items[1].quantity" /></label>
+      </form>
+    `);
+    const [first, second] = form.querySelectorAll("input");
+
+    FormErrorHandler.handleErrors(
+      {
+        errors: [
+          {
+            message: "Out of stock",
+            extensions: { field: ["input", "items", 1, "quantity"] },
+          },
+        ],
+      },
+      form,
+    );
+
+    expect(first.hasAttribute("aria-invalid")).to.be.false;
+    expect(second.getAttribute("aria-invalid")).to.equal("true");
+  });
+
+  it("does not match a nested path to a shared leaf name", async () => {
+    const el = await fixture(html`
+      <div>
+        <form id="account">
+          <label><input name="name" /></label>
+        </form>
+        <form id="checkout">
+          <label><input name="name" /></label>
+          <label><input name="shipping[name]" /></label>
+        </form>
+      </div>
+    `);
+    const [account, checkout] = el.querySelectorAll("form");
+    const response = {
+      errors: [
+        { message: "Required", extensions: { field: "input.shipping.name" } },
+      ],
+    };
+
+    FormErrorHandler.handleErrors(response, account);
+    FormErrorHandler.handleErrors(response, checkout);
+
+    const [name, shipping] = checkout.querySelectorAll("input");
+    expect(account.querySelector("input").hasAttribute("aria-invalid")).to.be
+      .false;
+    expect(name.hasAttribute("aria-invalid")).to.be.false;
+    expect(shipping.getAttribute("aria-invalid")).to.equal("true");
+  });
+
+  it("uses the naming convention set on the form", async () => {
+    const form = await fixture(html`
+      <form data-field-naming="camelCase">
+        <label><input name="addressStreet" /></label>
+      </form>
+    `);
+
+    FormErrorHandler.handleErrors(
+      { errors: [{ message: "Required", path: ["address", "street"] }] },
+      form,
+    );
+
+    expect(form.querySelector("input").getAttribute("aria-invalid")).to.equal(
+      "true",
+    );
+  });
+
+  it("falls back to the nearest fieldset when no field matches", async () => {
+    const form = await fixture(html`
+      <form>
+        <fieldset>
+          <legend>Address</legend>
+          <label><input name="address.street" /></label>
+        </fieldset>
+      </form>
+    `);
+
+    FormErrorHandler.handleErrors(
+      {
+        errors: [
+          { message: "Unknown zip", extensions: { field: "address.zip" } },
+        ],
+      },
+      form,
+    );
+
+    const message = form.querySelector("fieldset > .error-message");
+    expect(message.textContent).to.equal("Unknown zip");
+    expect(message.previousElementSibling.tagName).to.equal("LEGEND");
+    expect(form.querySelector("input").hasAttribute("aria-invalid")).to.be
+      .false;
+  });
+
+  it("lists every error in an injected summary", async () => {
+    const form = await fixture(html`
+      <form>
+        <label><input name="email" /></label>
+      </form>
+    `);
+
+    FormErrorHandler.handleErrors(
+      {
+        errors: [
+          { message: "Invalid email", extensions: { field: "email" } },
+          { message: "Rate limited" },
+        ],
+      },
+      form,
+    );
+
+    const summary = form.querySelector("form-error-summary");
+    expect(summary.getAttribute("role")).to.equal("alert");
+    expect(summary.hidden).to.be.false;
+    expect(document.activeElement).to.equal(summary);
+
+    const items = summary.shadowRoot.querySelectorAll("li");
+    expect(items.length).to.equal(2);
+
+    const link = items[0].querySelector("a");
+    const input = form.querySelector("input");
+    expect(link.getAttribute("href")).to.equal(`#${input.id}`);
+    expect(items[1].textContent).to.equal("Rate limited");
+  });
+
+  it("adds errors without a field to the form when summaries are off", async () => {
+    const form = await fixture(html`
+      <form data-error-summary="false">
+        <label><input name="email" /></label>
+      </form>
+    `);
+
+    FormErrorHandler.handleErrors(
+      { errors: [{ message: "Rate limited" }] },
+      form,
+    );
+
+    expect(form.querySelector("form-error-summary")).to.be.null;
+    expect(form.querySelector(".error-message").textContent).to.equal(
+      "Rate limited",
+    );
+  });
+
+  it("leaves form summaries alone for errors outside a form", async () => {
+    const el = await fixture(html`
+      <div>
+        <form>
+          <form-error-summary></form-error-summary>
+          <label><input name="email" /></label>
+        </form>
+        <form>
+          <form-error-summary></form-error-summary>
+          <label><input name="name" /></label>
+        </form>
+      </div>
+    `);
+
+    FormErrorHandler.handleErrors({ errors: [{ message: "Rate limited" }] });
+
+    el.querySelectorAll("form-error-summary").forEach((summary) => {
+      expect(summary.hidden).to.be.true;
+      expect(document.activeElement).to.not.equal(summary);
+    });
+  });
+
+  it("hides the summary when errors are cleared", async () => {
+    const form = await fixture(html`
+      <form>
+        <form-error-summary heading="Fix these"></form-error-summary>
+        <label><input name="email" /></label>
+      </form>
+    `);
+    const summary = form.querySelector("form-error-summary");
+
+    FormErrorHandler.handleErrors(
+      { errors: [{ message: "Required", extensions: { field: "email" } }] },
+      form,
+    );
+    expect(summary.hidden).to.be.false;
+
+    FormErrorHandler.clearErrors(form);
+    expect(summary.hidden).to.be.true;
+  });
+});
+
+describe("GraphQLToastHandler", async () => {
+  const { GraphQLToastHandler } = UILibrary;
+  const search = "?page=2&utm_source=mail&filter=open";
+
+  afterEach(async () => {
+    await UILibrary.initialize({ forwardParams: "*" });
+  });
+
+  it("forwards every URL param by default", async () => {
+    const el = await fixture(html`<button></button>`);
+
+    expect(GraphQLToastHandler.forwardedParams(el, search)).to.deep.equal({
+      page: "2",
+      utm_source: "mail",
+      filter: "open",
+    });
+  });
+
+  it("uses the global forwarding rule", async () => {
+    await UILibrary.initialize({ forwardParams: "not page, utm_source" });
+    const el = await fixture(html`<button></button>`);
+
+    expect(GraphQLToastHandler.forwardedParams(el, search)).to.deep.equal({
+      filter: "open",
+    });
+  });
+
+  it("lets hx-graphql-params override the global rule", async () => {
+    await UILibrary.initialize({ forwardParams: "none" });
+    const el = await fixture(html`
+      <form hx-graphql-params="filter"><button></button></form>
+    `);
+
+    expect(
+      GraphQLToastHandler.forwardedParams(el.querySelector("button"), search),
+    ).to.deep.equal({ filter: "open" });
+  });
+
+  it("reads the data-hx-graphql-params form of the attribute", async () => {
+    await UILibrary.initialize({ forwardParams: "none" });
+    const el = await fixture(html`
+      <form data-hx-graphql-params="page"><button></button></form>
+    `);
+
+    expect(
+      GraphQLToastHandler.forwardedParams(el.querySelector("button"), search),
+    ).to.deep.equal({ page: "2" });
+  });
+
+  it("swaps out of band html into several targets", async () => {
+    const el = await fixture(html`
+      <div>
+        <span id="counter">1</span>
+        <ul id="list">
+          <li>One</li>
+        </ul>
+      </div>
+    `);
+
+    GraphQLToastHandler.handleExtensions({
+      oob: {
+        "#counter": "2",
+        "#list": { html: "<li>Two</li>", swap: "beforeend" },
+      },
+    });
+
+    expect(el.querySelector("#counter").textContent).to.equal("2");
+    expect(el.querySelectorAll("#list li").length).to.equal(2);
+  });
+
+  it("dispatches trigger events with their payloads", async () => {
+    const el = await fixture(html`<div><button></button></div>`);
+    const received = [];
+    el.addEventListener("item-saved", (e) => received.push(e.detail));
+    el.addEventListener("refresh-list", (e) => received.push(e.type));
+
+    GraphQLToastHandler.handleExtensions(
+      { trigger: { "item-saved": { id: 7 }, "refresh-list": null } },
+      el.querySelector("button"),
+    );
+
+    expect(received).to.deep.equal([{ id: 7 }, "refresh-list"]);
+  });
+
+  it("groups repeated errors and names the failed paths", async () => {
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+
+    GraphQLToastHandler.handleResponse({
+      data: { user: { name: "Ada", posts: [null, null] } },
+      errors: [
+        { message: "Not found", path: ["user", "posts", 0] },
+        { message: "Not found", path: ["user", "posts", 1] },
+        { message: "Not found", path: ["user", "posts", 1] },
+      ],
+      extensions: { successMessage: "Loaded" },
+    });
+
+    const toasts = Array.from(document.querySelectorAll("toast-element"));
+    expect(toasts.map((t) => [t.type, t.message])).to.deep.equal([
+      ["error", "Not found (user.posts[0], user.posts[1])"],
+      ["success", "Loaded"],
+    ]);
+    toasts.forEach((t) => t.remove());
+  });
+
+  it("picks the toast type from the error code", async () => {
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+    await UILibrary.initialize({ errorCodes: { RATE_LIMITED: "info" } });
+
+    GraphQLToastHandler.handleResponse({
+      data: null,
+      errors: [
+        { message: "Sign in first", extensions: { code: "UNAUTHENTICATED" } },
+        { message: "Slow down", extensions: { code: "RATE_LIMITED" } },
+        { message: "Boom", extensions: { code: "INTERNAL_SERVER_ERROR" } },
+      ],
+      extensions: { successMessage: "Saved" },
+    });
+    delete GraphQLToastHandler.errorCodes.RATE_LIMITED;
+
+    const toasts = Array.from(document.querySelectorAll("toast-element"));
+    expect(toasts.map((t) => t.type)).to.deep.equal([
+      "warning",
+      "info",
+      "error",
+    ]);
+    toasts.forEach((t) => t.remove());
+  });
+
+  it("handles graphql-response+json responses in the htmx extension", async () => {
+    let extension;
+    window.htmx = {
+      config: {},
+      defineExtension: (name, definition) => {
+        extension = definition;
+      },
+      process: () => {},
+    };
+    GraphQLToastHandler.registerHtmxExtension();
+    delete window.htmx;
+
+    const el = await fixture(html`<button hx-post="/graphql"></button>`);
+    const body = JSON.stringify({
+      data: {},
+      extensions: { html: "<p>Saved</p>" },
+    });
+    const detail = {
+      elt: el,
+      target: el,
+      shouldSwap: true,
+      serverResponse: body,
+      xhr: {
+        responseText: body,
+        getResponseHeader: () => "application/graphql-response+json",
+      },
+    };
+
+    extension.onEvent("htmx:beforeSwap", { detail });
+
+    expect(detail.shouldSwap).to.be.true;
+    expect(detail.serverResponse).to.equal("<p>Saved</p>");
+  });
+});
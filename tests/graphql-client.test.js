@@ -0,0 +1,135 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+const {
+  GraphQLClient,
+  GraphQLNetworkError,
+  GraphQLResponseError,
+  GraphQLTimeoutError,
+} = UILibrary;
+
+describe("GraphQLClient", async () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+    originalFetch = window.fetch;
+    requests = [];
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  const respondWith = (body, init = {}) => {
+    window.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return new Response(JSON.stringify(body), {
+        headers: { "Content-Type": "application/json" },
+        ...init,
+      });
+    };
+  };
+
+  it("sends queries to the endpoint with configured headers", async () => {
+    respondWith({ data: { viewer: { name: "Ada" } } });
+    const client = new GraphQLClient({
+      endpoint: "/api/graphql",
+      headers: { "X-CSRF-Token": "abc" },
+    });
+
+    const data = await client.query("query ($id: ID!) { viewer { name } }", {
+      id: "1",
+    });
+
+    expect(data).to.deep.equal({ viewer: { name: "Ada" } });
+    expect(requests[0].url).to.equal("/api/graphql");
+    expect(requests[0].options.headers["X-CSRF-Token"]).to.equal("abc");
+    expect(JSON.parse(requests[0].options.body).variables).to.deep.equal({
+      id: "1",
+    });
+  });
+
+  it("throws a GraphQLResponseError for GraphQL errors", async () => {
+    respondWith(
+      { data: null, errors: [{ message: "Not allowed" }] },
+      { status: 400 },
+    );
+    const client = new GraphQLClient();
+
+    try {
+      await client.mutate("mutation { deleteAll }");
+      expect.fail("mutate should throw");
+    } catch (error) {
+      expect(error).to.be.instanceOf(GraphQLResponseError);
+      expect(error.message).to.equal("Not allowed");
+      expect(error.errors.length).to.equal(1);
+    }
+  });
+
+  it("throws a GraphQLNetworkError for non-GraphQL responses", async () => {
+    window.fetch = async () =>
+      new Response("Bad gateway", {
+        status: 502,
+        headers: { "Content-Type": "text/html" },
+      });
+    const client = new GraphQLClient();
+
+    try {
+      await client.query("{ ping }");
+      expect.fail("query should throw");
+    } catch (error) {
+      expect(error).to.be.instanceOf(GraphQLNetworkError);
+      expect(error.status).to.equal(502);
+    }
+  });
+
+  it("aborts requests that exceed the timeout", async () => {
+    window.fetch = (url, options) =>
+      new Promise((resolve, reject) => {
+        options.signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError")),
+        );
+      });
+    const client = new GraphQLClient({ timeout: 50 });
+
+    try {
+      await client.query("{ slow }");
+      expect.fail("query should time out");
+    } catch (error) {
+      expect(error).to.be.instanceOf(GraphQLTimeoutError);
+      expect(error).to.be.instanceOf(GraphQLNetworkError);
+    }
+  });
+
+  it("routes responses through the toast and form handlers", async () => {
+    respondWith({ data: {}, extensions: { successMessage: "Saved" } });
+    const client = new GraphQLClient({ handleResponses: true });
+
+    await client.mutate("mutation { save }");
+
+    const toast = document.querySelector("toast-element");
+    expect(toast.message).to.equal("Saved");
+    toast.remove();
+  });
+
+  it("leaves forms alone when no form is given", async () => {
+    respondWith({
+      data: null,
+      errors: [{ message: "Required", extensions: { field: "email" } }],
+    });
+    const form = await fixture(html`
+      <form>
+        <label><input name="email" /></label>
+      </form>
+    `);
+    const client = new GraphQLClient({ handleResponses: true });
+
+    await client.request({ query: "mutation { save }" });
+
+    expect(form.querySelector("input").hasAttribute("aria-invalid")).to.be
+      .false;
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+});
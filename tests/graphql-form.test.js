@@ -0,0 +1,233 @@
+import { html, fixture, expect, waitUntil } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+const { FormSerializer } = UILibrary;
+
+describe("FormSerializer", async () => {
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  it("builds nested typed variables", async () => {
+    const form = await fixture(html`
+      <form>
+        <input name="input.name" value="Ada" />
+        <input name="input.age" value="36" data-graphql-type="Int" />
+        <input type="number" name="input.score" value="9.5" />
+        <input type="checkbox" name="input.active" checked />
+        <input name="input.address[city]" value="London" />
+        <input name="input.items[0].quantity" value="2" />
+        <input name="input.items[1].quantity" value="" />
+      </form>
+    `);
+
+    const variables = FormSerializer.serialize(form, {
+      "input.items.quantity": "Int",
+    });
+
+    expect(variables).to.deep.equal({
+      input: {
+        name: "Ada",
+        age: 36,
+        score: 9.5,
+        active: true,
+        address: { city: "London" },
+        items: [{ quantity: 2 }, { quantity: null }],
+      },
+    });
+  });
+
+  it("sends invalid numbers as typed instead of truncating them", async () => {
+    expect(FormSerializer.coerce("12", "Int")).to.equal(12);
+    expect(FormSerializer.coerce("12abc", "Int")).to.equal("12abc");
+    expect(FormSerializer.coerce("1.5", "Int!")).to.equal("1.5");
+    expect(FormSerializer.coerce("1.5", "Float")).to.equal(1.5);
+    expect(FormSerializer.coerce("1.5kg", "Float")).to.equal("1.5kg");
+  });
+
+  it("turns checkbox groups and multiple selects into lists", async () => {
+    const form = await fixture(html`
+      <form>
+        <input type="checkbox" name="tags" value="1" checked />
+        <input type="checkbox" name="tags" value="2" />
+        <input type="checkbox" name="tags" value="3" checked />
+        <select name="colors" multiple>
+          <option value="red" selected>Red</option>
+          <option value="blue" selected>Blue</option>
+        </select>
+      </form>
+    `);
+
+    const variables = FormSerializer.serialize(form, { tags: "[Int!]" });
+
+    expect(variables).to.deep.equal({ tags: [1, 3], colors: ["red", "blue"] });
+  });
+
+  it("encodes file inputs as a GraphQL multipart request", async () => {
+    const form = await fixture(html`
+      <form>
+        <input name="title" value="Report" />
+        <input type="file" name="attachments" multiple />
+      </form>
+    `);
+    const transfer = new DataTransfer();
+    transfer.items.add(new File(["a"], "a.txt", { type: "text/plain" }));
+    transfer.items.add(new File(["b"], "b.txt", { type: "text/plain" }));
+    form.querySelector('input[type="file"]').files = transfer.files;
+
+    const body = FormSerializer.toMultipart(
+      form,
+      { query: "mutation ($input: ReportInput!) { upload(input: $input) }" },
+      { variable: "input" },
+    );
+
+    expect(JSON.parse(body.get("operations")).variables).to.deep.equal({
+      input: { title: "Report", attachments: [null, null] },
+    });
+    expect(JSON.parse(body.get("map"))).to.deep.equal({
+      0: ["variables.input.attachments.0"],
+      1: ["variables.input.attachments.1"],
+    });
+    expect(body.get("1").name).to.equal("b.txt");
+  });
+});
+
+describe("graphql-form", async () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+    originalFetch = window.fetch;
+    requests = [];
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  const respondWith = (response) => {
+    window.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return new Response(JSON.stringify(response), {
+        headers: { "Content-Type": "application/json" },
+      });
+    };
+  };
+
+  it("posts the mutation with typed variables", async () => {
+    respondWith({ data: { createItem: { id: "1" } } });
+    const el = await fixture(html`
+      <graphql-form
+        endpoint="/api/graphql"
+        variable="input"
+        types='{"quantity": "Int"}'
+        mutation="mutation Create($input: ItemInput!) { createItem(input: $input) { id } }"
+      >
+        <form>
+          <input name="quantity" value="4" />
+          <button type="submit">Save</button>
+        </form>
+      </graphql-form>
+    `);
+
+    el.querySelector("button").click();
+    await waitUntil(() => requests.length === 1, "Request should be sent");
+
+    const { url, options } = requests[0];
+    expect(url).to.equal("/api/graphql");
+    expect(JSON.parse(options.body)).to.deep.equal({
+      query: el.query,
+      variables: { input: { quantity: 4 } },
+    });
+  });
+
+  it("maps response errors onto the form", async () => {
+    respondWith({
+      data: null,
+      errors: [{ message: "Too many", extensions: { field: "quantity" } }],
+    });
+    const el = await fixture(html`
+      <graphql-form mutation="mutation { noop }">
+        <form>
+          <label><input name="quantity" value="400" /></label>
+        </form>
+      </graphql-form>
+    `);
+
+    const response = await el.submit();
+
+    expect(response.errors.length).to.equal(1);
+    expect(el.querySelector("input").getAttribute("aria-invalid")).to.equal(
+      "true",
+    );
+  });
+
+  it("swaps extensions.html into the target", async () => {
+    respondWith({ data: {}, extensions: { html: "<p>Saved</p>" } });
+    const el = await fixture(html`
+      <div>
+        <graphql-form mutation="mutation { noop }" target="#result">
+          <form></form>
+        </graphql-form>
+        <div id="result"></div>
+      </div>
+    `);
+
+    await el.querySelector("graphql-form").submit();
+
+    expect(el.querySelector("#result").innerHTML).to.equal("<p>Saved</p>");
+  });
+
+  it("does not swap when an error code redirects", async () => {
+    const { GraphQLToastHandler } = UILibrary;
+    GraphQLToastHandler.errorCodes.SESSION_EXPIRED = {
+      type: "warning",
+      redirect: "#login",
+    };
+    respondWith({
+      data: null,
+      errors: [{ message: "Expired", extensions: { code: "SESSION_EXPIRED" } }],
+      extensions: { html: "<p>Partial</p>" },
+    });
+    const el = await fixture(html`
+      <div>
+        <graphql-form mutation="mutation { noop }" target="#result">
+          <form></form>
+        </graphql-form>
+        <div id="result"></div>
+      </div>
+    `);
+
+    const response = await el.querySelector("graphql-form").submit();
+    delete GraphQLToastHandler.errorCodes.SESSION_EXPIRED;
+
+    expect(GraphQLToastHandler.redirected(response)).to.be.true;
+    expect(window.location.hash).to.equal("#login");
+    expect(el.querySelector("#result").innerHTML).to.equal("");
+    history.replaceState(null, "", window.location.pathname);
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+
+  it("keeps the form when there is no target", async () => {
+    respondWith({ data: {}, extensions: { html: "<p>Saved</p>" } });
+    const el = await fixture(html`
+      <graphql-form mutation="mutation { noop }">
+        <form>
+          <input name="title" value="Report" />
+        </form>
+      </graphql-form>
+    `);
+    const form = el.form;
+
+    await el.submit();
+    await el.submit();
+
+    expect(el.form).to.equal(form);
+    expect(el.querySelectorAll("[data-graphql-result]").length).to.equal(1);
+    expect(el.querySelector("[data-graphql-result]").innerHTML).to.equal(
+      "<p>Saved</p>",
+    );
+    expect(requests.length).to.equal(2);
+  });
+});
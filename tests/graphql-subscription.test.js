@@ -0,0 +1,197 @@
+import { html, fixture, expect, waitUntil } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+const { GraphQLWebSocketClient } = UILibrary;
+
+// Minimal in-page stand-in for a graphql-transport-ws server
+class StubWebSocket extends EventTarget {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url, protocol) {
+    super();
+    this.url = url;
+    this.protocol = protocol;
+    this.readyState = 0;
+    this.sent = [];
+    StubWebSocket.instances.push(this);
+    setTimeout(() => {
+      this.readyState = StubWebSocket.OPEN;
+      this.dispatchEvent(new Event("open"));
+    });
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code = 1000, reason = "") {
+    this.readyState = 3;
+    const event = new Event("close");
+    event.code = code;
+    event.reason = reason;
+    this.dispatchEvent(event);
+  }
+
+  receive(message) {
+    const event = new Event("message");
+    event.data = JSON.stringify(message);
+    this.dispatchEvent(event);
+  }
+}
+
+// Minimal stand-in for an SSE endpoint
+class StubEventSource extends EventTarget {
+  static instances = [];
+
+  constructor(url) {
+    super();
+    this.url = url;
+    StubEventSource.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(type, data) {
+    const event = new Event(type);
+    event.data = JSON.stringify(data);
+    this.dispatchEvent(event);
+  }
+}
+
+describe("graphql subscriptions", async () => {
+  let originalWebSocket;
+  let originalEventSource;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+    originalWebSocket = window.WebSocket;
+    originalEventSource = window.EventSource;
+    window.WebSocket = StubWebSocket;
+    window.EventSource = StubEventSource;
+    StubWebSocket.instances = [];
+    StubEventSource.instances = [];
+  });
+
+  afterEach(() => {
+    window.WebSocket = originalWebSocket;
+    window.EventSource = originalEventSource;
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+
+  it("speaks graphql-transport-ws", async () => {
+    const results = [];
+    const client = new GraphQLWebSocketClient({ url: "/graphql" });
+    const unsubscribe = client.subscribe(
+      { query: "subscription { ticks }" },
+      { next: (result) => results.push(result) },
+    );
+
+    const socket = StubWebSocket.instances[0];
+    expect(socket.protocol).to.equal("graphql-transport-ws");
+    expect(socket.url.startsWith("ws")).to.be.true;
+
+    await waitUntil(() => socket.sent.length === 1);
+    expect(socket.sent[0].type).to.equal("connection_init");
+
+    socket.receive({ type: "connection_ack" });
+    const [subscribe] = socket.sent.slice(1);
+    expect(subscribe.type).to.equal("subscribe");
+    expect(subscribe.payload.query).to.equal("subscription { ticks }");
+
+    socket.receive({ type: "ping" });
+    expect(socket.sent[2]).to.deep.equal({ type: "pong" });
+
+    socket.receive({ id: subscribe.id, type: "next", payload: { data: 1 } });
+    expect(results).to.deep.equal([{ data: 1 }]);
+
+    unsubscribe();
+    expect(socket.sent[3]).to.deep.equal({
+      id: subscribe.id,
+      type: "complete",
+    });
+  });
+
+  it("reconnects and resubscribes after the socket drops", async () => {
+    const client = new GraphQLWebSocketClient({
+      url: "/graphql",
+      minRetryDelay: 10,
+    });
+    client.subscribe({ query: "subscription { ticks }" }, { next: () => {} });
+
+    const first = StubWebSocket.instances[0];
+    await waitUntil(() => first.sent.length === 1);
+    first.receive({ type: "connection_ack" });
+    first.close(1006);
+
+    await waitUntil(() => StubWebSocket.instances.length === 2);
+    const second = StubWebSocket.instances[1];
+    await waitUntil(() => second.sent.length === 1);
+    second.receive({ type: "connection_ack" });
+
+    expect(second.sent[1].type).to.equal("subscribe");
+    client.dispose();
+  });
+
+  it("keeps the socket open when a subscriber throws", async () => {
+    const client = new GraphQLWebSocketClient({ url: "/graphql" });
+    const results = [];
+    client.subscribe(
+      { query: "subscription { a }" },
+      {
+        next: () => {
+          throw new Error("Bad target");
+        },
+      },
+    );
+    client.subscribe(
+      { query: "subscription { b }" },
+      { next: (result) => results.push(result) },
+    );
+
+    const socket = StubWebSocket.instances[0];
+    await waitUntil(() => socket.sent.length === 1);
+    socket.receive({ type: "connection_ack" });
+    const [first, second] = socket.sent.slice(1);
+
+    socket.receive({ id: first.id, type: "next", payload: { data: 1 } });
+    socket.receive({ id: second.id, type: "next", payload: { data: 2 } });
+
+    expect(socket.readyState).to.equal(StubWebSocket.OPEN);
+    expect(results).to.deep.equal([{ data: 2 }]);
+    client.dispose();
+  });
+
+  it("swaps html and toasts messages from the element", async () => {
+    const el = await fixture(html`
+      <div>
+        <graphql-subscription
+          transport="sse"
+          url="/graphql/stream"
+          query="subscription { orders }"
+          target="#orders"
+        ></graphql-subscription>
+        <div id="orders"></div>
+      </div>
+    `);
+
+    const source = StubEventSource.instances[0];
+    expect(source.url).to.include("query=subscription");
+
+    source.emit("open");
+    source.emit("next", {
+      data: {},
+      extensions: { html: "<li>Order 1</li>", successMessage: "New order" },
+    });
+
+    expect(el.querySelector("#orders").innerHTML).to.equal("<li>Order 1</li>");
+    expect(document.querySelector("toast-element").message).to.equal(
+      "New order",
+    );
+    expect(
+      el.querySelector("graphql-subscription").getAttribute("status"),
+    ).to.equal("open");
+  });
+});
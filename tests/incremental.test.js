@@ -0,0 +1,178 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+const {
+  GraphQLClient,
+  GraphQLNetworkError,
+  GraphQLTimeoutError,
+  IncrementalResult,
+  MultipartMixedParser,
+} = UILibrary;
+
+const part = (payload) =>
+  `\r\n---\r\nContent-Type: application/json; charset=utf-8\r\n\r\n${JSON.stringify(payload)}`;
+
+describe("incremental delivery", async () => {
+  let originalFetch;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+    originalFetch = window.fetch;
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+
+  it("parses multipart parts split across chunks", async () => {
+    const parser = new MultipartMixedParser("-");
+    const body = `${part({ data: { a: 1 }, hasNext: true })}${part({ hasNext: false })}\r\n-----\r\n`;
+
+    const first = parser.push(body.slice(0, 40));
+    const rest = parser.push(body.slice(40));
+
+    expect(first).to.deep.equal([]);
+    expect(rest).to.deep.equal([
+      { data: { a: 1 }, hasNext: true },
+      { hasNext: false },
+    ]);
+    expect(parser.done).to.be.true;
+  });
+
+  it("merges deferred data and streamed items", async () => {
+    const result = new IncrementalResult({
+      data: { viewer: { name: "Ada" }, feed: [1] },
+      pending: [
+        { id: "0", path: ["viewer"], label: "stats" },
+        { id: "1", path: ["feed"] },
+      ],
+      hasNext: true,
+    });
+
+    const chunks = result.apply({
+      incremental: [
+        { id: "0", data: { posts: 3 } },
+        { id: "1", items: [2, 3] },
+      ],
+      completed: [
+        { id: "0" },
+        { id: "1", errors: [{ message: "Feed broke" }] },
+      ],
+      hasNext: false,
+    });
+
+    expect(result.response).to.deep.equal({
+      data: { viewer: { name: "Ada", posts: 3 }, feed: [1, 2, 3] },
+      errors: [{ message: "Feed broke" }],
+    });
+    expect(chunks[0].label).to.equal("stats");
+    expect(result.hasNext).to.be.false;
+  });
+
+  it("applies deferred html as parts arrive through the client", async () => {
+    const el = await fixture(html`
+      <div><section data-graphql-defer="stats">Loading</section></div>
+    `);
+    const encoder = new TextEncoder();
+    const parts = [
+      part({
+        data: { viewer: {} },
+        pending: [{ id: "0", path: ["viewer"], label: "stats" }],
+        hasNext: true,
+      }),
+      part({
+        incremental: [
+          {
+            id: "0",
+            data: { posts: 3 },
+            extensions: { html: "<p>3 posts</p>" },
+          },
+        ],
+        completed: [{ id: "0" }],
+        hasNext: false,
+      }),
+      "\r\n-----\r\n",
+    ];
+    window.fetch = async () =>
+      new Response(
+        new ReadableStream({
+          start(controller) {
+            parts.forEach((p) => controller.enqueue(encoder.encode(p)));
+            controller.close();
+          },
+        }),
+        {
+          headers: {
+            "Content-Type": 'multipart/mixed; boundary="-"',
+          },
+        },
+      );
+
+    const payloads = [];
+    const response = await new GraphQLClient({ handleResponses: true }).request(
+      {
+        query: '{ viewer { ... @defer(label: "stats") { posts } } }',
+        onPayload: (payload) => payloads.push(payload),
+      },
+    );
+
+    expect(payloads.length).to.equal(2);
+    expect(response.data).to.deep.equal({ viewer: { posts: 3 } });
+    expect(el.querySelector("section").innerHTML).to.equal("<p>3 posts</p>");
+  });
+
+  // Sends the initial payload, then stalls until the request is aborted
+  const stallAfterFirstPart = () => {
+    window.fetch = async (url, { signal }) =>
+      new Response(
+        new ReadableStream({
+          start(controller) {
+            controller.enqueue(
+              new TextEncoder().encode(
+                `${part({
+                  data: { viewer: {} },
+                  pending: [{ id: "0", path: ["viewer"] }],
+                  hasNext: true,
+                })}\r\n---`,
+              ),
+            );
+            signal.addEventListener("abort", () =>
+              controller.error(new DOMException("Aborted", "AbortError")),
+            );
+          },
+        }),
+        { headers: { "Content-Type": 'multipart/mixed; boundary="-"' } },
+      );
+  };
+
+  it("cancels a stalled incremental response", async () => {
+    stallAfterFirstPart();
+    const controller = new AbortController();
+
+    try {
+      await new GraphQLClient().request({
+        query: "{ viewer { ... @defer { posts } } }",
+        signal: controller.signal,
+        onPayload: () => controller.abort(),
+      });
+      expect.fail("Request should be aborted");
+    } catch (error) {
+      expect(error).to.be.instanceOf(GraphQLNetworkError);
+      expect(error.message).to.equal("GraphQL request was aborted");
+    }
+  });
+
+  it("times out a stalled incremental response", async () => {
+    stallAfterFirstPart();
+
+    try {
+      await new GraphQLClient({ timeout: 50 }).request({
+        query: "{ viewer { ... @defer { posts } } }",
+      });
+      expect.fail("Request should time out");
+    } catch (error) {
+      expect(error).to.be.instanceOf(GraphQLTimeoutError);
+    }
+  });
+});
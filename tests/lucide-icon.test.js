@@ -0,0 +1,111 @@
+import { html, fixture, expect, waitUntil } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("lucide-icon", async () => {
+  const { LucideIcon } = UILibrary;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  it("renders a built-in icon", async () => {
+    const el = await fixture(html`<lucide-icon name="bell"></lucide-icon>`);
+    expect(el.shadowRoot.querySelector("svg path")).to.exist;
+    expect(el.hasAttribute("data-missing")).to.be.false;
+  });
+
+  it("shows a fallback and warns for unknown icons", async () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+
+    try {
+      const el = await fixture(
+        html`<lucide-icon name="not-an-icon"></lucide-icon>`,
+      );
+      expect(el.hasAttribute("data-missing")).to.be.true;
+      expect(el.shadowRoot.querySelector("svg rect")).to.exist;
+    } finally {
+      console.warn = warn;
+    }
+    expect(warnings.some((w) => w.includes("not-an-icon"))).to.be.true;
+  });
+
+  it("re-renders when a missing icon is registered", async () => {
+    const el = await fixture(
+      html`<lucide-icon name="test-star"></lucide-icon>`,
+    );
+
+    LucideIcon.register("test-star", '<circle cx="12" cy="12" r="5"/>');
+
+    expect(el.hasAttribute("data-missing")).to.be.false;
+    expect(el.shadowRoot.querySelector("svg circle")).to.exist;
+  });
+
+  it("loads icons from a JSON source once", async () => {
+    const originalFetch = window.fetch;
+    const fetched = [];
+    window.fetch = async (url) => {
+      fetched.push(url);
+      return new Response(
+        JSON.stringify({
+          "test-cloud": '<path d="M17.5 19H9a7 7 0 1 1 6.71-9h1.79"/>',
+        }),
+        { headers: { "Content-Type": "application/json" } },
+      );
+    };
+    LucideIcon.addSource("/icons/test.json");
+
+    try {
+      const el = await fixture(html`
+        <div>
+          <lucide-icon name="test-cloud"></lucide-icon>
+          <lucide-icon name="test-cloud"></lucide-icon>
+        </div>
+      `);
+      const icons = el.querySelectorAll("lucide-icon");
+      await waitUntil(() =>
+        Array.from(icons).every((icon) =>
+          icon.shadowRoot.querySelector("svg path"),
+        ),
+      );
+    } finally {
+      window.fetch = originalFetch;
+    }
+
+    expect(fetched).to.deep.equal(["/icons/test.json"]);
+    expect(LucideIcon.has("test-cloud")).to.be.true;
+  });
+
+  it("is hidden from screen readers unless labelled", async () => {
+    const el = await fixture(html`<lucide-icon name="bell"></lucide-icon>`);
+    expect(el.getAttribute("aria-hidden")).to.equal("true");
+    expect(el.hasAttribute("role")).to.be.false;
+
+    el.setAttribute("label", "Notifications");
+    expect(el.getAttribute("role")).to.equal("img");
+    expect(el.getAttribute("aria-label")).to.equal("Notifications");
+    expect(el.hasAttribute("aria-hidden")).to.be.false;
+  });
+
+  it("applies numeric sizes, stroke width, rotation and flips", async () => {
+    const el = await fixture(html`
+      <lucide-icon
+        name="bell"
+        size="20"
+        stroke-width="1.5"
+        rotate="90"
+        flip="horizontal"
+      ></lucide-icon>
+    `);
+    const svg = el.shadowRoot.querySelector("svg");
+
+    expect(el.style.width).to.equal("20px");
+    expect(el.style.height).to.equal("20px");
+    expect(svg.getAttribute("stroke-width")).to.equal("1.5");
+    expect(svg.style.transform).to.equal("rotate(90deg) scaleX(-1)");
+
+    el.setAttribute("size", "large");
+    expect(el.style.width).to.equal("");
+  });
+});
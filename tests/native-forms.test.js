@@ -0,0 +1,217 @@
+import { html, fixture, expect, waitUntil } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("data-graphql forms", async () => {
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+    originalFetch = window.fetch;
+    requests = [];
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+
+  const respondWith = (body) => {
+    window.fetch = async (url, init) => {
+      requests.push({ url, init });
+      return new Response(JSON.stringify(body), {
+        headers: { "Content-Type": "application/json" },
+      });
+    };
+  };
+
+  it("posts the form with fetch and swaps extensions.html", async () => {
+    respondWith({ data: {}, extensions: { html: "<p>Thanks!</p>" } });
+    const el = await fixture(html`
+      <div>
+        <form
+          data-graphql
+          action="/signup"
+          method="post"
+          data-graphql-target="#result"
+        >
+          <input name="email" value="ada@example.com" />
+          <button type="submit">Sign up</button>
+        </form>
+        <div id="result"></div>
+      </div>
+    `);
+
+    el.querySelector("button").click();
+    await waitUntil(() => el.querySelector("#result").innerHTML !== "");
+
+    const { url, init } = requests[0];
+    expect(new URL(url).pathname).to.equal("/signup");
+    expect(init.method).to.equal("POST");
+    expect(init.body.get("email")).to.equal("ada@example.com");
+    expect(init.headers.Accept).to.include("application/json");
+    expect(el.querySelector("#result").innerHTML).to.equal("<p>Thanks!</p>");
+  });
+
+  it("swaps extensions.html after the form without a target", async () => {
+    respondWith({ data: {}, extensions: { html: "<p>Thanks!</p>" } });
+    const el = await fixture(html`
+      <div>
+        <form data-graphql action="/signup" method="post">
+          <input name="email" value="ada@example.com" />
+          <button type="submit">Sign up</button>
+        </form>
+      </div>
+    `);
+    const form = el.querySelector("form");
+
+    form.querySelector("button").click();
+    await waitUntil(() => el.querySelector("[data-graphql-result]"));
+    await waitUntil(() => !form.hasAttribute("aria-busy"));
+    form.querySelector("button").click();
+    await waitUntil(() => requests.length === 2);
+    await waitUntil(() => !form.hasAttribute("aria-busy"));
+
+    const results = el.querySelectorAll("[data-graphql-result]");
+    expect(results).to.have.length(1);
+    expect(form.nextElementSibling).to.equal(results[0]);
+    expect(results[0].innerHTML).to.equal("<p>Thanks!</p>");
+    expect(form.querySelector("input[name=email]")).to.exist;
+  });
+
+  it("maps errors onto the submitted form", async () => {
+    respondWith({
+      data: null,
+      errors: [{ message: "Taken", extensions: { field: "email" } }],
+    });
+    const form = await fixture(html`
+      <form data-graphql action="/signup" method="post">
+        <label><input name="email" value="ada@example.com" /></label>
+        <button type="submit">Sign up</button>
+      </form>
+    `);
+
+    form.querySelector("button").click();
+    await waitUntil(() => form.querySelector("[aria-invalid]"));
+
+    expect(form.querySelector("input").getAttribute("aria-invalid")).to.equal(
+      "true",
+    );
+    expect(document.querySelector("toast-element").message).to.equal("Taken");
+  });
+
+  it("marks the form busy until the request settles", async () => {
+    let respond;
+    window.fetch = () =>
+      new Promise((resolve) => {
+        respond = () =>
+          resolve(
+            new Response(JSON.stringify({ data: {} }), {
+              headers: { "Content-Type": "application/json" },
+            }),
+          );
+      });
+    const form = await fixture(html`
+      <form data-graphql action="/signup" method="post">
+        <input name="email" value="ada@example.com" />
+        <button type="submit">Sign up</button>
+      </form>
+    `);
+    const button = form.querySelector("button");
+
+    button.click();
+    await waitUntil(() => respond);
+
+    expect(form.getAttribute("aria-busy")).to.equal("true");
+    expect(button.disabled).to.be.true;
+    expect(button.querySelector('lucide-icon[name="loader"]')).to.exist;
+
+    respond();
+    await waitUntil(() => !form.hasAttribute("aria-busy"));
+
+    expect(button.disabled).to.be.false;
+    expect(button.querySelector("lucide-icon")).to.not.exist;
+  });
+
+  it("restores the form when the request fails", async () => {
+    window.fetch = async () => {
+      throw new TypeError("Failed to fetch");
+    };
+    const form = await fixture(html`
+      <form data-graphql action="/signup" method="post" data-request-ui="busy">
+        <button type="submit">Sign up</button>
+        <button type="submit" disabled>Later</button>
+      </form>
+    `);
+    const [button, disabled] = form.querySelectorAll("button");
+
+    button.click();
+    expect(form.getAttribute("aria-busy")).to.equal("true");
+    expect(button.disabled).to.be.false;
+    await waitUntil(() => !form.hasAttribute("aria-busy"));
+
+    expect(disabled.disabled).to.be.true;
+    expect(document.querySelector("toast-element").type).to.equal("error");
+  });
+
+  it("restores the form when preparing the request throws", async () => {
+    respondWith({ data: {} });
+    const { RequestIndicator } = UILibrary;
+    const start = RequestIndicator.start;
+    RequestIndicator.start = (...args) => {
+      start.apply(RequestIndicator, args);
+      throw new Error("Broken indicator");
+    };
+    const form = await fixture(html`
+      <form data-graphql action="/signup" method="post" data-request-ui="busy">
+        <button type="submit">Sign up</button>
+      </form>
+    `);
+
+    let response;
+    try {
+      response = await UILibrary.NativeFormHandler.submit(form, {
+        url: "/signup",
+        init: {},
+      });
+    } finally {
+      RequestIndicator.start = start;
+    }
+
+    expect(response).to.equal(null);
+    expect(requests).to.have.length(0);
+    expect(form.hasAttribute("aria-busy")).to.be.false;
+    expect(document.querySelector("toast-element").type).to.equal("error");
+  });
+
+  it("does not swap error pages or whole documents into the form", async () => {
+    const pages = [
+      new Response("<p>Server error</p>", {
+        status: 500,
+        headers: { "Content-Type": "text/html" },
+      }),
+      new Response("<!DOCTYPE html><html><body>Home</body></html>", {
+        headers: { "Content-Type": "text/html" },
+      }),
+    ];
+    window.fetch = async () => pages.shift();
+    const form = await fixture(html`
+      <form data-graphql action="/signup" method="post">
+        <button type="submit">Sign up</button>
+      </form>
+    `);
+    const errors = [];
+    form.addEventListener("graphql:error", (e) => errors.push(e.detail.error));
+
+    form.querySelector("button").click();
+    await waitUntil(() => errors.length === 1);
+    form.querySelector("button").click();
+    await waitUntil(() => errors.length === 2);
+
+    expect(errors[0].status).to.equal(500);
+    expect(form.querySelector("button")).to.exist;
+    expect(form.textContent).to.not.include("Server error");
+    expect(form.textContent).to.not.include("Home");
+    expect(document.querySelector("toast-element").type).to.equal("error");
+  });
+});
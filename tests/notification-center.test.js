@@ -0,0 +1,100 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+import { showToast } from "../src/components/toast/toast.js";
+
+describe("notification-center", async () => {
+  const storageKey = "test:notifications";
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  afterEach(() => {
+    localStorage.removeItem(storageKey);
+    document.querySelectorAll("toast-element").forEach((t) => t.remove());
+  });
+
+  it("records toasts and counts unread entries", async () => {
+    const el = await fixture(html`<notification-center></notification-center>`);
+
+    showToast({ type: "error", title: "Save failed", message: "Try again" });
+    UILibrary.GraphQLToastHandler.handleResponse({
+      data: null,
+      errors: [{ message: "Not allowed" }],
+    });
+
+    expect(el.entries.map((e) => [e.type, e.message])).to.deep.equal([
+      ["error", "Not allowed"],
+      ["error", "Try again"],
+    ]);
+    expect(el.unreadCount).to.equal(2);
+
+    const badge = el.shadowRoot.querySelector(".badge");
+    expect(badge.hidden).to.be.false;
+    expect(badge.textContent).to.equal("2");
+    expect(el.shadowRoot.querySelector('lucide-icon[name="bell"]')).to.exist;
+  });
+
+  it("marks entries read and clears them", async () => {
+    const el = await fixture(html`<notification-center></notification-center>`);
+    const first = el.add({ message: "One" });
+    el.add({ message: "Two" });
+
+    el.markRead(first.id);
+    expect(el.unreadCount).to.equal(1);
+
+    el.markAllRead();
+    expect(el.unreadCount).to.equal(0);
+    expect(el.shadowRoot.querySelector(".badge").hidden).to.be.true;
+
+    el.clear();
+    expect(el.entries).to.deep.equal([]);
+  });
+
+  it("persists a capped history to localStorage", async () => {
+    const el = await fixture(html`
+      <notification-center
+        storage="local"
+        storage-key=${storageKey}
+        max="2"
+      ></notification-center>
+    `);
+    ["One", "Two", "Three"].forEach((message) => el.add({ message }));
+
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    expect(saved.map((e) => e.message)).to.deep.equal(["Three", "Two"]);
+
+    const restored = await fixture(html`
+      <notification-center
+        storage="local"
+        storage-key=${storageKey}
+      ></notification-center>
+    `);
+    expect(restored.entries.map((e) => e.message)).to.deep.equal([
+      "Three",
+      "Two",
+    ]);
+  });
+
+  it("shows entry text as text", async () => {
+    const el = await fixture(html`<notification-center></notification-center>`);
+    el.add({ message: "<img src=x onerror=alert(1)>" });
+
+    expect(el.shadowRoot.querySelector(".entries img")).to.not.exist;
+  });
+
+  it("closes on Escape and marks the key as handled", async () => {
+    const el = await fixture(html`<notification-center></notification-center>`);
+    el.toggle(true);
+
+    const event = new KeyboardEvent("keydown", {
+      key: "Escape",
+      bubbles: true,
+      cancelable: true,
+    });
+    el.dispatchEvent(event);
+
+    expect(el.open).to.be.false;
+    expect(event.defaultPrevented).to.be.true;
+  });
+});
@@ -0,0 +1,96 @@
+import { expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("loadPicoCSS", async () => {
+  const { loadPicoCSS } = UILibrary;
+  const originalFetch = window.fetch;
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    window.fetch = async (url, init) => {
+      requests.push({ url, init });
+      return new Response(":root { --pico-spacing: 2rem; }");
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  it("adopts inline CSS without fetching", async () => {
+    const sheet = await loadPicoCSS({ css: ":root { --pico-spacing: 1rem; }" });
+
+    expect(requests).to.have.length(0);
+    expect(document.adoptedStyleSheets).to.include(sheet);
+  });
+
+  it("only loads each source once", async () => {
+    const first = await loadPicoCSS({ url: "/static/pico.css" });
+    const second = await loadPicoCSS({ url: "/static/pico.css" });
+
+    expect(second).to.equal(first);
+    expect(requests).to.have.length(1);
+    expect(
+      document.adoptedStyleSheets.filter((sheet) => sheet === first),
+    ).to.have.length(1);
+  });
+
+  it("fetches the chosen version with its integrity hash", async () => {
+    await loadPicoCSS({
+      version: "2.0.6",
+      classless: true,
+      integrity: "sha384-abc",
+    });
+
+    expect(requests[0].url).to.equal(
+      "https://cdn.jsdelivr.net/npm/@picocss/pico@2.0.6/css/pico.classless.min.css",
+    );
+    expect(requests[0].init.integrity).to.equal("sha384-abc");
+  });
+
+  it("tries a failed source again", async () => {
+    const fetchCss = window.fetch;
+    window.fetch = async (url, init) => {
+      requests.push({ url, init });
+      return new Response("Unavailable", { status: 503 });
+    };
+
+    const failed = await loadPicoCSS({ url: "/retry/pico.css", timeout: 100 });
+    window.fetch = fetchCss;
+    const sheet = await loadPicoCSS({ url: "/retry/pico.css", timeout: 100 });
+
+    expect(failed).to.equal(null);
+    expect(sheet).to.be.instanceOf(CSSStyleSheet);
+    expect(requests).to.have.length(2);
+  });
+
+  it("gives up on a stylesheet that does not arrive", async () => {
+    window.fetch = (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError")),
+        );
+      });
+
+    const sheet = await loadPicoCSS({ url: "/stalled/pico.css", timeout: 50 });
+
+    expect(sheet).to.equal(null);
+    expect(document.querySelector('link[href$="/stalled/pico.css"]')).to.not
+      .exist;
+  });
+
+  it("keeps Pico when initializing with it", async () => {
+    const css = ":root { --pico-spacing: 3rem; }";
+    await UILibrary.initialize({ pico: { css } });
+    const sheet = await loadPicoCSS({ css });
+
+    expect(document.adoptedStyleSheets[0]).to.equal(sheet);
+  });
+
+  it("loads no framework CSS by default", async () => {
+    await UILibrary.initialize();
+
+    expect(requests).to.have.length(0);
+  });
+});
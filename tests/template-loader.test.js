@@ -0,0 +1,54 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("component styles", async () => {
+  const { setDocumentStyleSheets } = UILibrary;
+
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  it("shares one stylesheet between instances", async () => {
+    const el = await fixture(html`
+      <div>
+        <lucide-icon name="bell"></lucide-icon>
+        <lucide-icon name="sun"></lucide-icon>
+      </div>
+    `);
+    const [first, second] = el.querySelectorAll("lucide-icon");
+
+    const own = (icon) => icon.shadowRoot.adoptedStyleSheets.at(-1);
+    expect(own(first)).to.equal(own(second));
+  });
+
+  it("pushes new document sheets to existing components", async () => {
+    const el = await fixture(html`<lucide-icon name="bell"></lucide-icon>`);
+    const theme = UILibrary.createTheme(":root { --brand: #0077be; }");
+
+    expect(el.shadowRoot.adoptedStyleSheets).to.include(theme);
+
+    setDocumentStyleSheets(
+      document.adoptedStyleSheets.filter((sheet) => sheet !== theme),
+    );
+    expect(el.shadowRoot.adoptedStyleSheets).to.not.include(theme);
+  });
+
+  it("catches removed components up when they come back", async () => {
+    const el = await fixture(
+      html`<div><lucide-icon name="bell"></lucide-icon></div>`,
+    );
+    const icon = el.querySelector("lucide-icon");
+    icon.remove();
+
+    const theme = UILibrary.createTheme(":root { --brand: #228b22; }");
+    expect(icon.shadowRoot.adoptedStyleSheets).to.not.include(theme);
+
+    el.appendChild(icon);
+    expect(icon.shadowRoot.adoptedStyleSheets).to.include(theme);
+
+    setDocumentStyleSheets(
+      document.adoptedStyleSheets.filter((sheet) => sheet !== theme),
+    );
+    expect(icon.shadowRoot.adoptedStyleSheets).to.not.include(theme);
+  });
+});
@@ -0,0 +1,86 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("theme-toggle", async () => {
+  const { ThemeToggle } = UILibrary;
+
+  beforeEach(async () => {
+    localStorage.removeItem("theme");
+    await UILibrary.initialize();
+  });
+
+  afterEach(() => {
+    localStorage.removeItem("theme");
+  });
+
+  it("follows the system without saving a theme", async () => {
+    const el = await fixture(html`<theme-toggle></theme-toggle>`);
+
+    expect(el.mode).to.equal("system");
+    expect(el.getAttribute("mode")).to.equal("system");
+    expect(localStorage.getItem("theme")).to.equal(null);
+    expect(["light", "dark"]).to.include(
+      document.documentElement.getAttribute("data-theme"),
+    );
+    const button = el.shadowRoot.querySelector(".toggle");
+    expect(button.getAttribute("aria-pressed")).to.equal("mixed");
+  });
+
+  it("cycles through light, dark and system", async () => {
+    const el = await fixture(html`<theme-toggle></theme-toggle>`);
+    const button = el.shadowRoot.querySelector(".toggle");
+    const events = [];
+    const record = (e) => events.push(e.detail);
+    document.addEventListener("theme-change", record);
+
+    try {
+      button.click();
+      expect(document.documentElement.getAttribute("data-theme")).to.equal(
+        "light",
+      );
+      expect(button.getAttribute("aria-pressed")).to.equal("false");
+
+      button.click();
+      expect(localStorage.getItem("theme")).to.equal("dark");
+      expect(button.getAttribute("aria-pressed")).to.equal("true");
+      expect(button.getAttribute("aria-label")).to.include("Dark");
+
+      button.click();
+      expect(localStorage.getItem("theme")).to.equal(null);
+    } finally {
+      document.removeEventListener("theme-change", record);
+    }
+
+    expect(events.map((e) => e.mode)).to.deep.equal([
+      "light",
+      "dark",
+      "system",
+    ]);
+  });
+
+  it("keeps every toggle on the page in sync", async () => {
+    const el = await fixture(html`
+      <div>
+        <theme-toggle></theme-toggle>
+        <theme-toggle></theme-toggle>
+      </div>
+    `);
+    const [first, second] = el.querySelectorAll("theme-toggle");
+
+    first.mode = "dark";
+    expect(second.getAttribute("mode")).to.equal("dark");
+  });
+
+  it("picks up a mode chosen in another tab", async () => {
+    const el = await fixture(html`<theme-toggle></theme-toggle>`);
+
+    localStorage.setItem("theme", "light");
+    window.dispatchEvent(new StorageEvent("storage", { key: "theme" }));
+
+    expect(el.getAttribute("mode")).to.equal("light");
+    expect(ThemeToggle.theme).to.equal("light");
+    expect(document.documentElement.getAttribute("data-theme")).to.equal(
+      "light",
+    );
+  });
+});
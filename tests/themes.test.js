@@ -0,0 +1,80 @@
+import { html, fixture, expect } from "@open-wc/testing";
+import UILibrary from "../src/index";
+
+describe("themes", async () => {
+  const { themes } = UILibrary;
+  const value = (el, name) =>
+    getComputedStyle(el).getPropertyValue(name).trim();
+
+  let dataTheme;
+
+  beforeEach(async () => {
+    dataTheme = document.documentElement.getAttribute("data-theme");
+    await UILibrary.initialize();
+    themes
+      .register("ocean", {
+        brand: "#0077be",
+        radius: { card: "12px" },
+        light: { surface: "#f0f8ff" },
+        dark: { brand: "#003f63", surface: "#001a2c" },
+      })
+      .register("forest", { brand: "#228b22" });
+  });
+
+  afterEach(() => {
+    themes.use(null);
+    themes.remove("ocean");
+    themes.remove("forest");
+    if (dataTheme === null) {
+      document.documentElement.removeAttribute("data-theme");
+    } else {
+      document.documentElement.setAttribute("data-theme", dataTheme);
+    }
+  });
+
+  it("turns tokens into custom properties", async () => {
+    themes.use("ocean");
+
+    expect(themes.active).to.equal("ocean");
+    expect(value(document.documentElement, "--brand")).to.equal("#0077be");
+    expect(value(document.documentElement, "--radius-card")).to.equal("12px");
+  });
+
+  it("swaps the active theme in place", async () => {
+    themes.use("ocean");
+    const count = document.adoptedStyleSheets.length;
+
+    themes.use("forest");
+
+    expect(document.adoptedStyleSheets.length).to.equal(count);
+    expect(value(document.documentElement, "--brand")).to.equal("#228b22");
+  });
+
+  it("applies dark tokens when data-theme is dark", async () => {
+    themes.use("ocean");
+    document.documentElement.setAttribute("data-theme", "dark");
+
+    expect(value(document.documentElement, "--brand")).to.equal("#003f63");
+  });
+
+  it("follows the system color scheme without data-theme", async () => {
+    themes.use("ocean");
+    document.documentElement.removeAttribute("data-theme");
+    const dark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+
+    expect(value(document.documentElement, "--surface")).to.equal(
+      dark ? "#001a2c" : "#f0f8ff",
+    );
+  });
+
+  it("themes a subtree independently", async () => {
+    themes.use("ocean");
+    const el = await fixture(html` <section><p>Forest brand</p></section> `);
+
+    themes.use("forest", el);
+
+    expect(el.getAttribute("data-ui-theme")).to.equal("forest");
+    expect(value(el, "--brand")).to.equal("#228b22");
+    expect(value(document.documentElement, "--brand")).to.equal("#0077be");
+  });
+});
@@ -0,0 +1,94 @@
+import { expect, waitUntil } from "@open-wc/testing";
+import UILibrary from "../src/index";
+import { showToast } from "../src/components/toast/toast.js";
+
+describe("toast-region", async () => {
+  beforeEach(async () => {
+    await UILibrary.initialize();
+  });
+
+  afterEach(() => {
+    document.querySelectorAll("toast-region").forEach((r) => r.remove());
+  });
+
+  it("puts toasts in a region for their position", async () => {
+    const toast = showToast({ message: "Saved", position: "top-left" });
+    const region = document.querySelector('toast-region[position="top-left"]');
+
+    expect(toast.parentNode).to.equal(region);
+    expect(toast.style.bottom).to.equal("");
+    expect(UILibrary.ToastRegion.for("top-left")).to.equal(region);
+  });
+
+  it("queues toasts beyond the visible limit", async () => {
+    const region = UILibrary.ToastRegion.for("bottom-center");
+    region.max = 2;
+
+    const [first, second, third] = ["One", "Two", "Three"].map((message) =>
+      showToast({ message, position: "bottom-center", autoHide: false }),
+    );
+
+    expect(region.visibleToasts).to.deep.equal([first, second]);
+    expect(region.queuedToasts).to.deep.equal([third]);
+
+    first.hide();
+    await waitUntil(() => third.visible, "Queued toast should be shown");
+    expect(region.queuedToasts).to.deep.equal([]);
+  });
+
+  it("shows a queued toast when a visible one is removed", async () => {
+    const region = UILibrary.ToastRegion.for("bottom-center");
+    region.max = 1;
+
+    const [first, second] = ["One", "Two"].map((message) =>
+      showToast({ message, position: "bottom-center", autoHide: false }),
+    );
+    expect(region.queuedToasts).to.deep.equal([second]);
+
+    first.remove();
+    await waitUntil(() => second.visible, "Queued toast should be shown");
+    expect(region.visibleToasts).to.deep.equal([second]);
+  });
+
+  it("counts repeats of the same toast instead of stacking them", async () => {
+    const first = showToast({ message: "Server error", type: "error" });
+    const again = showToast({ message: "Server error", type: "error" });
+    const other = showToast({ message: "Server error", type: "warning" });
+
+    expect(again).to.equal(first);
+    expect(other).to.not.equal(first);
+    expect(first.count).to.equal(2);
+    expect(first.shadowRoot.querySelector(".count").textContent).to.equal("×2");
+    expect(document.querySelectorAll("toast-element").length).to.equal(2);
+  });
+
+  it("dismisses the newest toast with Escape from inside a region", async () => {
+    const older = showToast({ message: "Older", autoHide: false });
+    const newer = showToast({
+      message: "Newer",
+      position: "top-right",
+      autoHide: false,
+    });
+
+    older.parentNode.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+    );
+
+    expect(newer.visible).to.be.false;
+    expect(older.visible).to.be.true;
+    expect(UILibrary.ToastRegion.newestToast()).to.equal(older);
+  });
+
+  it("leaves Escape elsewhere on the page alone", async () => {
+    const toast = showToast({ message: "Saved", autoHide: false });
+    const input = document.createElement("input");
+    document.body.appendChild(input);
+
+    input.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+    );
+    input.remove();
+
+    expect(toast.visible).to.be.true;
+  });
+});
@@ -1,5 +1,6 @@
 import { html, fixture, expect, waitUntil } from "@open-wc/testing";
 import UILibrary from "../src/index";
+import { showToast } from "../src/components/toast/toast.js";
 
 describe("toast-element", async () => {
   beforeEach(async () => {
@@ -60,4 +61,215 @@ describe("toast-element", async () => {
     );
     expect(el.classList.contains("toast-success")).to.be.true;
   });
+
+  it("shows a progress bar when progress is set", async () => {
+    const el = await fixture(html`<toast-element></toast-element>`);
+    const bar = el.shadowRoot.querySelector(".progress");
+    expect(bar.hidden).to.be.true;
+
+    el.progress = 40;
+    expect(bar.hidden).to.be.false;
+    expect(bar.value).to.equal(40);
+
+    el.progress = null;
+    expect(bar.hidden).to.be.true;
+  });
+
+  it("runs action callbacks and then hides", async () => {
+    const clicked = [];
+    const toast = showToast({
+      message: "Todo deleted",
+      autoHide: false,
+      actions: [{ label: "Undo", onClick: (t) => clicked.push(t) }],
+    });
+
+    const button = toast.shadowRoot.querySelector(".action-btn");
+    expect(button.textContent).to.equal("Undo");
+
+    button.click();
+    expect(clicked).to.deep.equal([toast]);
+    expect(toast.visible).to.be.false;
+  });
+
+  it("follows a promise from loading to success", async () => {
+    let resolve;
+    const promise = new Promise((r) => {
+      resolve = r;
+    });
+
+    showToast.promise(promise, {
+      loading: "Saving…",
+      success: (todo) => `Saved ${todo.title}`,
+    });
+    const toast = Array.from(document.querySelectorAll("toast-element")).find(
+      (t) => t.message === "Saving…",
+    );
+    expect(toast.type).to.equal("loading");
+    expect(toast.autoHide).to.be.false;
+
+    resolve({ title: "Milk" });
+    await promise;
+
+    expect(toast.type).to.equal("success");
+    expect(toast.message).to.equal("Saved Milk");
+    expect(toast.autoHide).to.be.true;
+  });
+
+  it("shows the error when the promise rejects", async () => {
+    const promise = Promise.reject(new Error("Offline"));
+
+    const result = showToast.promise(promise, { loading: "Sending…" });
+    const toast = Array.from(document.querySelectorAll("toast-element")).find(
+      (t) => t.message === "Sending…",
+    );
+
+    await result.catch(() => {});
+    expect(toast.type).to.equal("error");
+    expect(toast.message).to.equal("Offline");
+  });
+
+  it("falls back to a generic message when a formatter throws", async () => {
+    const promise = Promise.resolve(null);
+
+    showToast.promise(promise, {
+      loading: "Loading list…",
+      success: (list) => `Loaded ${list.length} items`,
+    });
+    const toast = Array.from(document.querySelectorAll("toast-element")).find(
+      (t) => t.message === "Loading list…",
+    );
+    await promise;
+    await Promise.resolve();
+
+    expect(toast.type).to.equal("success");
+    expect(toast.message).to.equal("Done");
+  });
+
+  it("announces errors assertively and other toasts politely", async () => {
+    const error = await fixture(
+      html`<toast-element type="error"></toast-element>`,
+    );
+    const info = await fixture(html`<toast-element></toast-element>`);
+
+    expect(error.getAttribute("role")).to.equal("alert");
+    expect(error.getAttribute("aria-live")).to.equal("assertive");
+    expect(info.getAttribute("role")).to.equal("status");
+    expect(info.getAttribute("aria-live")).to.equal("polite");
+
+    info.setAttribute("live", "assertive");
+    expect(info.getAttribute("role")).to.equal("alert");
+  });
+
+  it("pauses auto-hide while hovered", async () => {
+    const el = await fixture(
+      html`<toast-element message="Hover me" duration="50"></toast-element>`,
+    );
+    el.show();
+    el.dispatchEvent(new MouseEvent("mouseenter"));
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(el.visible).to.be.true;
+    expect(el.paused).to.be.true;
+
+    el.dispatchEvent(new MouseEvent("mouseleave"));
+    await waitUntil(() => !el.visible, "Toast should hide after hover ends");
+  });
+
+  it("pauses auto-hide while focused", async () => {
+    const el = await fixture(
+      html`<toast-element message="Focus me" duration="50"></toast-element>`,
+    );
+    el.show();
+    el.closeButton.focus();
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(el.visible).to.be.true;
+  });
+
+  it("waits for the page to be seen when shown in a hidden tab", async () => {
+    Object.defineProperty(document, "visibilityState", {
+      configurable: true,
+      get: () => "hidden",
+    });
+    const el = await fixture(
+      html`<toast-element message="Later" duration="50"></toast-element>`,
+    );
+    el.show();
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    delete document.visibilityState;
+    expect(el.visible).to.be.true;
+    expect(el.paused).to.be.true;
+
+    document.dispatchEvent(new Event("visibilitychange"));
+    await waitUntil(() => !el.visible, "Toast should hide once seen");
+  });
+
+  it("dismisses with Escape and returns focus", async () => {
+    const trigger = await fixture(html`<button>Delete</button>`);
+    trigger.focus();
+    const el = showToast({ message: "Deleted", autoHide: false });
+
+    el.closeButton.focus();
+    el.closeButton.dispatchEvent(
+      new KeyboardEvent("keydown", {
+        key: "Escape",
+        bubbles: true,
+        composed: true,
+      }),
+    );
+
+    expect(el.visible).to.be.false;
+    expect(document.activeElement).to.equal(trigger);
+  });
+
+  it("keeps title and message attributes and properties in sync", async () => {
+    const el = await fixture(
+      html`<toast-element title="Saved" message="All good"></toast-element>`,
+    );
+    const title = el.shadowRoot.querySelector(".title");
+    expect(title.textContent).to.equal("Saved");
+    expect(title.hidden).to.be.false;
+
+    el.title = "Updated";
+    el.message = "Still good";
+    expect(el.getAttribute("title")).to.equal("Updated");
+    expect(el.getAttribute("message")).to.equal("Still good");
+    expect(title.textContent).to.equal("Updated");
+
+    el.setAttribute("message", "From attribute");
+    expect(el.message).to.equal("From attribute");
+  });
+
+  it("shows strings as text, not HTML", async () => {
+    const el = showToast({
+      title: "<b>Hi</b>",
+      message: '<img src="x" onerror="alert(1)">',
+      autoHide: false,
+    });
+
+    expect(el.shadowRoot.querySelector(".title").textContent).to.equal(
+      "<b>Hi</b>",
+    );
+    expect(el.shadowRoot.querySelector("img")).to.not.exist;
+    expect(el.querySelector("img")).to.not.exist;
+    el.hide();
+  });
+
+  it("slots rich content", async () => {
+    const link = document.createElement("a");
+    link.href = "/orders/7";
+    link.textContent = "View order";
+
+    const el = showToast({
+      title: "Order placed",
+      description: "We emailed your receipt.",
+      content: link,
+      autoHide: false,
+    });
+
+    expect(el.description).to.equal("We emailed your receipt.");
+    expect(link.parentNode).to.equal(el);
+    el.hide();
+  });
 });